@@ -1,9 +1,19 @@
 // models/digitalproduct.model.js
 const mongoose = require('mongoose');
 
+const fileEntryFields = {
+  key: { type: String, required: true },
+  url: { type: String },
+  name: { type: String },
+  size: { type: Number, default: 0 },
+  contentType: { type: String },
+  sha256: { type: String }  // hex content hash, when known
+};
+
 const DigitalProductSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
   name: { type: String, required: true },
-  productId: { type: String, required: true, unique: true },
+  productId: { type: String, required: true },
   productImage: { type: String },
   status: { type: String },
   variants: [{
@@ -11,14 +21,37 @@ const DigitalProductSchema = new mongoose.Schema({
     sku: { type: String },
     title: { type: String },
     image: { type: String },
+    files: [fileEntryFields],  // files of the current version
+    // Every upload that changed the file list; old versions keep their objects so they can be restored
+    versions: [{
+      _id: false,
+      number: { type: Number, required: true },
+      files: [fileEntryFields],
+      note: { type: String, default: null },
+      uploadedAt: { type: Date, default: Date.now }
+    }],
+    currentVersion: { type: Number, default: null },
+    // Legacy single-file fields: mirror files[0] for documents and clients from before bundles
     fileKey: { type: String },
     download: { type: Number, default: 0 },
     fileUrl: { type: String },
     fileName: { type: String },
-    fileSize: { type: Number, default: 0 }
+    fileSize: { type: Number, default: 0 },
+    downloadLimit: { type: Number, default: null }, // null = inherit product setting
+    accessDays: { type: Number, default: null },
+    licenseKeyPattern: { type: String, default: null } // null = inherit product pattern
   }],
   fileType: { type: String }, // e.g., "commonFile"
-  totalVariants: { type: Number, default: 1 }
+  totalVariants: { type: Number, default: 1 },
+  downloadLimit: { type: Number, default: null }, // per buyer; 0 = unlimited, null = app default
+  accessDays: { type: Number, default: null },    // days after purchase; 0 = never expires
+  watermarkPdfs: { type: Boolean, default: false }, // stamp buyer email + order on downloaded PDFs
+  licenseKeysEnabled: { type: Boolean, default: false }, // assign a key per purchased unit
+  licenseKeyPattern: { type: String, default: null },    // used when the variant's pool is empty
+  buyerVersionPolicy: { type: String, enum: ['latest', 'purchased'], default: 'latest' } // which file version buyers download
 }, { timestamps: true });
 
+// Each store's products are isolated: a Shopify product id is only unique within its shop
+DigitalProductSchema.index({ shop: 1, productId: 1 }, { unique: true });
+
 module.exports = mongoose.model('DigitalProduct', DigitalProductSchema);
\ No newline at end of file
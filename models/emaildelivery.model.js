@@ -0,0 +1,30 @@
+// models/emaildelivery.model.js
+const mongoose = require('mongoose');
+
+// Delivery log: one record per email sent (or attempted) to a buyer; resends get their own record
+const EmailDeliverySchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  type: { type: String, enum: ['order_delivery'], required: true },
+  orderId: { type: String, required: true },
+  orderName: { type: String },
+  customerName: { type: String, default: null },
+  to: { type: String, required: true, lowercase: true, trim: true },
+  status: { type: String, enum: ['queued', 'sent', 'failed'], default: 'queued' },
+  subject: { type: String, default: null },
+  messageId: { type: String, default: null },
+  error: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  jobId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  resendOf: { type: mongoose.Schema.Types.ObjectId, default: null },  // the delivery this one repeats
+  sentAt: { type: Date, default: null }
+}, { timestamps: true });
+
+EmailDeliverySchema.index({ shop: 1, createdAt: -1 });
+EmailDeliverySchema.index({ shop: 1, orderId: 1 });
+// One original delivery per order, so concurrent webhook deliveries cannot both insert one (resends are exempt)
+EmailDeliverySchema.index(
+  { shop: 1, type: 1, orderId: 1 },
+  { unique: true, partialFilterExpression: { resendOf: { $type: 'null' } } }
+);
+
+module.exports = mongoose.model('EmailDelivery', EmailDeliverySchema);
@@ -0,0 +1,16 @@
+// models/emailtemplate.model.js
+const mongoose = require('mongoose');
+
+// A store's customised email (Handlebars syntax); unset parts fall back to the app's default template
+const EmailTemplateSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  type: { type: String, enum: ['order_delivery'], required: true },
+  enabled: { type: Boolean, default: true },
+  subject: { type: String, default: null },
+  html: { type: String, default: null },
+  text: { type: String, default: null }
+}, { timestamps: true });
+
+EmailTemplateSchema.index({ shop: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmailTemplate', EmailTemplateSchema);
@@ -0,0 +1,30 @@
+// models/entitlement.model.js
+const mongoose = require('mongoose');
+
+// One record per purchased line item: who may download which variant file, and until when
+const EntitlementSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  orderId: { type: String, required: true },
+  orderName: { type: String },
+  lineItemId: { type: String, required: true },
+  customerEmail: { type: String, lowercase: true, trim: true },
+  productId: { type: String, required: true },
+  variantId: { type: String, required: true },
+  fileVersion: { type: Number, default: null },        // variant file version current at purchase
+  notifiedVersion: { type: Number, default: null },    // last file version the buyer was emailed about
+  quantity: { type: Number, default: 1 },
+  licenseKeys: [{ type: String }],
+  licenseKeysAssigningAt: { type: Date, default: null },  // lock held while keys are being assigned
+  licenseKeysOwed: { type: Number, default: 0 },        // keys still due because the pool ran dry
+  remainingDownloads: { type: Number, default: null }, // null = unlimited
+  downloadCount: { type: Number, default: 0 },
+  expiresAt: { type: Date, default: null },           // null = never expires
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Shopify retries webhooks, so a line item must only ever produce one entitlement
+EntitlementSchema.index({ orderId: 1, lineItemId: 1 }, { unique: true });
+EntitlementSchema.index({ customerEmail: 1 });
+EntitlementSchema.index({ variantId: 1, licenseKeysOwed: 1 });
+
+module.exports = mongoose.model('Entitlement', EntitlementSchema);
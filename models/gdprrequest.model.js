@@ -0,0 +1,17 @@
+// models/gdprrequest.model.js
+const mongoose = require('mongoose');
+
+// Audit trail of Shopify's mandatory privacy webhooks; data requests keep the export for the merchant
+const GdprRequestSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  topic: { type: String, required: true },
+  customerEmail: { type: String, lowercase: true, trim: true },
+  orderIds: [{ type: String }],
+  dataRequestId: { type: String },
+  export: { type: mongoose.Schema.Types.Mixed },
+  summary: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+GdprRequestSchema.index({ shop: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GdprRequest', GdprRequestSchema);
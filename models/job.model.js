@@ -0,0 +1,21 @@
+// models/job.model.js
+const mongoose = require('mongoose');
+
+// Persistent background job; "dead" jobs ran out of attempts and are kept for inspection
+const JobSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  shop: { type: String },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: ['queued', 'running', 'succeeded', 'dead'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  runAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  finishedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+JobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('Job', JobSchema);
@@ -0,0 +1,22 @@
+// models/licensekey.model.js
+const mongoose = require('mongoose');
+
+// Pool of serial keys per variant; a key moves from "available" to "assigned" exactly once
+const LicenseKeySchema = new mongoose.Schema({
+  productId: { type: String, required: true },
+  variantId: { type: String, required: true },
+  key: { type: String, required: true, trim: true },
+  source: { type: String, enum: ['imported', 'generated'], default: 'imported' },
+  status: { type: String, enum: ['available', 'assigned', 'revoked'], default: 'available' },
+  entitlementId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entitlement', default: null },
+  orderId: { type: String, default: null },
+  lineItemId: { type: String, default: null },
+  customerEmail: { type: String, default: null },
+  assignedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+LicenseKeySchema.index({ variantId: 1, key: 1 }, { unique: true });
+LicenseKeySchema.index({ variantId: 1, status: 1, createdAt: 1 });
+LicenseKeySchema.index({ orderId: 1, lineItemId: 1 });
+
+module.exports = mongoose.model('LicenseKey', LicenseKeySchema);
@@ -0,0 +1,16 @@
+// models/shopdeletion.model.js
+const mongoose = require('mongoose');
+
+// A store's data is purged some time after uninstall, so a quick reinstall can cancel it
+const ShopDeletionSchema = new mongoose.Schema({
+  shop: { type: String, required: true, unique: true },
+  reason: { type: String, enum: ['app_uninstalled', 'shop_redact'], default: 'app_uninstalled' },
+  scheduledFor: { type: Date, required: true },
+  status: { type: String, enum: ['pending', 'completed', 'cancelled'], default: 'pending' },
+  completedAt: { type: Date, default: null },
+  summary: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+ShopDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model('ShopDeletion', ShopDeletionSchema);
@@ -2,7 +2,8 @@ const mongoose = require('mongoose');
 
 const ShopifySessionSchema = new mongoose.Schema({
   shop: { type: String, required: true, unique: true },
-  accessToken: { type: String, required: true }
+  accessToken: { type: String, required: true },
+  scope: { type: String }
 }, { timestamps: true });
 
 module.exports = mongoose.model('ShopifySession', ShopifySessionSchema);
\ No newline at end of file
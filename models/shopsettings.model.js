@@ -0,0 +1,15 @@
+// models/shopsettings.model.js
+const mongoose = require('mongoose');
+
+// Per-store configuration; unset values fall back to the app defaults
+const ShopSettingsSchema = new mongoose.Schema({
+  shop: { type: String, required: true, unique: true },
+  uploads: {
+    allowedExtensions: { type: [String], default: undefined },  // e.g. ["pdf", "zip"]; empty/unset = any
+    allowedMimeTypes: { type: [String], default: undefined },   // e.g. ["application/pdf", "image/*"]
+    maxFileSize: { type: Number, default: null },               // bytes per file
+    storageQuota: { type: Number, default: null }               // bytes for the whole store; 0 = unlimited
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ShopSettings', ShopSettingsSchema);
@@ -0,0 +1,32 @@
+// models/storedfile.model.js
+const mongoose = require('mongoose');
+
+// One record per object the app put in Spaces, and the product variants that use it
+const StoredFileSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  shop: { type: String, index: true },
+  productId: { type: String },  // product the object was uploaded for
+  source: { type: String, enum: ['upload', 'multipart', 'direct', 'legacy'], default: 'upload' },
+  size: { type: Number, default: 0 },
+  contentType: { type: String },
+  sha256: { type: String, default: null },  // hex content hash; identical uploads reuse the object
+  status: { type: String, enum: ['active', 'quarantined'], default: 'active' },
+  scan: {
+    status: { type: String, enum: ['clean', 'infected', 'unverified'] },  // unverified = stub scanner, not a real engine
+    signature: { type: String },
+    scanner: { type: String },
+    scannedAt: { type: Date }
+  },
+  references: [{
+    _id: false,
+    productId: { type: String, required: true },
+    variantId: { type: String, required: true },
+  }],
+  unreferencedAt: { type: Date, default: null },  // when the last reference was dropped
+  reusedAt: { type: Date, default: null }         // last time an identical upload was pointed at this object
+}, { timestamps: true });
+
+StoredFileSchema.index({ 'references.productId': 1 });
+StoredFileSchema.index({ shop: 1, sha256: 1 });
+
+module.exports = mongoose.model('StoredFile', StoredFileSchema);
@@ -0,0 +1,18 @@
+// models/uploadsession.model.js
+const mongoose = require('mongoose');
+
+// Tracks an in-progress S3 multipart upload so the admin UI can resume it
+const UploadSessionSchema = new mongoose.Schema({
+  uploadId: { type: String, required: true, unique: true },
+  shop: { type: String, required: true },
+  key: { type: String, required: true },
+  productId: { type: String, required: true },
+  variantId: { type: String },
+  fileName: { type: String },
+  contentType: { type: String },
+  fileSize: { type: Number, default: 0 },
+  partSize: { type: Number },
+  status: { type: String, enum: ['pending', 'completed', 'aborted'], default: 'pending' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
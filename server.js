@@ -1,18 +1,46 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { formidable } = require('formidable');  // v3: Destructure formidable
-const AWS = require('aws-sdk');
-const { GraphQLClient, gql } = require('graphql-request');
+const { formidable, errors: formidableErrors } = require('formidable');  // v3: Destructure formidable
 const mongoose = require('mongoose');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { s3, UPLOADS_PREFIX, buildFileKey, fileNameFromKey, getObjectUrl } = require('./utils/s3');
+const { createDownloadToken, verifyDownloadToken, buildDownloadUrl } = require('./utils/downloadToken');
+const { shopifyWebhook } = require('./utils/webhooks');
+const { toLimit, entitlementTermsFor, checkEntitlement, consumeEntitlement } = require('./utils/downloadPolicy');
+const { toFileEntry, getVariantFiles, variantFileFields, collectFileKeys, getUnusedFileKeys } = require('./utils/variantFiles');
+const { getVersions, getCurrentVersion, applyFileVersion, getPinnedVersion, resolveBuyerFiles } = require('./utils/fileVersions');
+const { isPdfFile, buildWatermarkText, stampPdf } = require('./utils/pdfWatermark');
+const { resolveLicenseKeyPattern, importLicenseKeys, generateLicenseKeys, assignLicenseKeys } = require('./utils/licenseKeys');
+const LicenseKey = require('./models/licensekey.model');
+const GdprRequest = require('./models/gdprrequest.model');
+const { toProductGid, applyShopifyProductUpdate } = require('./utils/productSync');
+const { enqueueJob, startJobWorker } = require('./utils/jobQueue');
+const { getReplacedVariants } = require('./utils/buyerNotifications');
+const { registerJobHandlers } = require('./utils/jobHandlers');
+const { recordStoredFile, findReusableFile, getStoredHashes, syncProductFileReferences, releaseProductFileReferences, sweepOrphanedFiles } = require('./utils/storedFiles');
+const Job = require('./models/job.model');
+const { scheduleShopDeletion, cancelShopDeletion, processDueShopDeletions, exportCustomerData, redactCustomerData } = require('./utils/shopData');
+const { MAX_FILE_SIZE_LIMIT, QUARANTINE_PREFIX, uploadRejection, getUploadPolicy, getStorageUsage, checkFileSize, checkStorageQuota, checkFileType, screenLocalFile, screenStoredObject, findUnattachableKeys } = require('./utils/uploadPolicy');
+const { PRODUCT_GID_REGEX, parseProductData, validateFileFields, validationError } = require('./utils/productDataSchema');
+const ShopSettings = require('./models/shopsettings.model');
+const StoredFile = require('./models/storedfile.model');
+const EmailTemplate = require('./models/emailtemplate.model');
+const EmailDelivery = require('./models/emaildelivery.model');
+const { isMailConfigured } = require('./utils/mailer');
+const { TEMPLATE_PARTS, DEFAULT_TEMPLATES, isTemplateType, validateTemplateParts, getEmailTemplate, renderEmail } = require('./utils/emailTemplates');
+const { buildSampleDeliveryContext, queueOrderDelivery, resendDelivery } = require('./utils/orderDelivery');
+const { isValidShopDomain, createOAuthState, verifyOAuthState, verifyOAuthQueryHmac, buildInstallUrl, exchangeCodeForToken, authenticateShop } = require('./utils/shopifyAuth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Admin calls authenticate with a bearer session token (no cookies), so CORS only narrows who may call
 app.use(cors({
-  origin: '*', 
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()) : '*',
   methods: ['GET','POST','PUT','DELETE','OPTIONS'],
   allowedHeaders: ['Content-Type','Authorization'],
 }));
@@ -27,6 +55,7 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log(`MongoDB Connected: ${mongoose.connection.host}`);
+    await assignShopToLegacyProducts();
   } catch (error) {
     console.error('Error connecting to MongoDB:', error.message);
     process.exit(1);
@@ -34,46 +63,25 @@ const connectDB = async () => {
 };
 connectDB();
 
-// Mongoose Models (Defined inline for single file)
-const DigitalProductSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  productId: { type: String, required: true, unique: true },
-  productImage: { type: String },
-  status: { type: String },
-  variants: [{
-    id: { type: String, required: true },
-    sku: { type: String },
-    title: { type: String },
-    image: { type: String },
-    fileKey: { type: String },
-    download: { type: Number, default: 0 },
-    fileUrl: { type: String },
-    fileName: { type: String },
-    fileSize: { type: Number, default: 0 }
-  }],
-  fileType: { type: String },
-  totalVariants: { type: Number, default: 1 }
-}, { timestamps: true });
-const DigitalProduct = mongoose.model('DigitalProduct', DigitalProductSchema);
-
-const ShopifySessionSchema = new mongoose.Schema({
-  shop: { type: String, required: true, unique: true },
-  accessToken: { type: String, required: true }
-}, { timestamps: true });
-const ShopifySession = mongoose.model('ShopifySession', ShopifySessionSchema);
-
-// S3 Setup (DigitalOcean Spaces)
-const region = process.env.DO_SPACES_REGION || "nyc3";
-const spacesEndpoint = new AWS.Endpoint(
-  process.env.DO_SPACES_ENDPOINT || `https://${process.env.DO_SPACES_BUCKET_NAME || "your-space-name"}.${region}.digitaloceanspaces.com`
-);
-const s3 = new AWS.S3({
-  endpoint: spacesEndpoint,
-  accessKeyId: process.env.DO_SPACES_KEY,
-  secretAccessKey: process.env.DO_SPACES_SECRET,
-  region: region,
-  s3ForcePathStyle: true,
-});
+// Products saved before multi-shop support have no shop; they belonged to the single SHOP_DOMAIN store
+async function assignShopToLegacyProducts() {
+  const legacyShop = process.env.SHOP_DOMAIN;
+  const legacyCount = await DigitalProduct.countDocuments({ shop: { $exists: false } });
+  if (!legacyCount) return;
+  if (!legacyShop) {
+    console.warn(`⚠️ ${legacyCount} products have no shop and SHOP_DOMAIN is not set - they will not be visible`);
+    return;
+  }
+  await DigitalProduct.updateMany({ shop: { $exists: false } }, { $set: { shop: legacyShop } });
+  await DigitalProduct.syncIndexes();  // Replace the old global productId unique index with the per-shop one
+  console.log(`📦 Assigned ${legacyCount} legacy products to ${legacyShop}`);
+}
+
+// Mongoose Models
+const DigitalProduct = require('./models/digitalproduct.model');
+const ShopifySession = require('./models/shopifysession.model');
+const Entitlement = require('./models/entitlement.model');
+const UploadSession = require('./models/uploadsession.model');
 
 // Utility Functions
 function getField(fields, key) {
@@ -82,6 +90,61 @@ function getField(fields, key) {
   return val ?? undefined;
 }
 
+function cleanupTempFiles(rawFiles) {
+  if (!rawFiles) return;
+  for (const fileArray of Object.values(rawFiles)) {
+    fileArray.forEach(fileObj => {
+      if (fileObj && fileObj.filepath && fs.existsSync(fileObj.filepath)) {
+        fs.unlinkSync(fileObj.filepath);
+        console.log(`🗑️ Cleaned up temp file: ${fileObj.filepath}`);
+      }
+    });
+  }
+}
+
+// Every object key created by parseFormData for this request (reused objects belong to earlier uploads)
+function getUploadedKeys(files) {
+  return Object.values(files || {}).flat().filter(f => f && f.key && !f.reused).map(f => f.key);
+}
+
+// Compensation for a failed upload request: remove the objects it created. Runs through the job queue
+// so it is retried, and the job skips any key a stored product still references.
+async function rollbackUploads(keys, shop) {
+  if (!keys || keys.length === 0) return;
+  console.log(`↩️ Rolling back ${keys.length} uploaded files`);
+  try {
+    await enqueueJob('storage.deleteFiles', { keys }, { shop });
+  } catch (err) {
+    console.error(`❌ Could not queue rollback, objects left in Spaces: ${keys.join(', ')}`, err.message || err);
+  }
+}
+
+// Upload rejections (utils/uploadPolicy.js) carry a status and a machine-readable reason; anything else is a 500
+function sendUploadError(res, error) {
+  const body = { error: error.message || "Internal server error" };
+  if (error.statusCode && error.code) body.reason = error.code;
+  if (error.errors) body.errors = error.errors;  // [{ path, message }] from utils/productDataSchema.js
+  return res.status(error.statusCode || 500).json(body);
+}
+
+// Formidable reports limits with numeric codes; answer with the same string reasons as the other upload rejections
+const FORMIDABLE_REASONS = {
+  [formidableErrors.biggerThanMaxFileSize]: 'file_too_large',
+  [formidableErrors.biggerThanTotalMaxFileSize]: 'request_too_large',
+  [formidableErrors.maxFilesExceeded]: 'too_many_files',
+  [formidableErrors.maxFieldsExceeded]: 'too_many_fields',
+  [formidableErrors.maxFieldsSizeExceeded]: 'fields_too_large',
+  [formidableErrors.noEmptyFiles]: 'empty_file',
+  [formidableErrors.aborted]: 'upload_aborted',
+  [formidableErrors.malformedMultipart]: 'malformed_upload',
+  [formidableErrors.missingMultipartBoundary]: 'malformed_upload',
+  [formidableErrors.missingContentType]: 'malformed_upload',
+};
+
+function formidableRejection(error) {
+  return uploadRejection(error.httpCode, FORMIDABLE_REASONS[error.code] || 'invalid_upload', error.message);
+}
+
 async function parseFormData(req) {
   const tmpDir = path.join(__dirname, 'tmp');
 
@@ -96,12 +159,15 @@ async function parseFormData(req) {
     throw new Error(`Failed to create temp directory: ${err.message}`);
   }
 
+  const policy = await getUploadPolicy(req.shop);
   const form = formidable({
     uploadDir: tmpDir,
     keepExtensions: true,
     multiples: true,
-    maxFileSize: 1024 * 1024 * 1024 * 5,  // 5GB
+    maxFileSize: policy.maxFileSize,  // per file, from the shop's upload rules
+    maxTotalFileSize: MAX_FILE_SIZE_LIMIT,  // 5GB per request
     maxFieldsSize: 50 * 1024 * 1024,  // 50MB for fields
+    hashAlgorithm: 'sha256',  // file.hash is computed while the upload streams to tmp/
   });
 
   try {
@@ -119,25 +185,38 @@ async function parseFormData(req) {
     console.log('🔍 Raw fields keys:', Object.keys(rawFields || {}));  // Debug
     console.log('🔍 Raw files keys:', Object.keys(rawFiles || {}));  // Debug
 
-    // Safety check: If undefined or empty, log and return empty
-    if (!rawFields || Object.keys(rawFields).length === 0) {
-      console.warn('⚠️ No fields found in request. Ensure Content-Type: multipart/form-data and productData is appended.');
-      return { fields: {}, files: {} };
-    }
-
     // Convert rawFields (plain object) to processed object (handle arrays)
     const fieldsObj = {};
-    for (const [name, value] of Object.entries(rawFields)) {
+    for (const [name, value] of Object.entries(rawFields || {})) {
       fieldsObj[name] = Array.isArray(value) ? value : [value];
     }
 
-    console.log('🔍 Parsed productData field:', getField(fieldsObj, 'productData') ? 'Present' : 'MISSING');  // Enhanced debug
+    // Validate productData and the file field names before anything is sent to Spaces
+    const { productData, errors } = parseProductData(getField(fieldsObj, 'productData'));
+    errors.push(...validateFileFields(Object.keys(rawFiles || {}), productData));
+    if (errors.length > 0) {
+      console.warn('⚠️ Invalid upload request:', errors);
+      cleanupTempFiles(rawFiles);
+      throw validationError(errors);
+    }
 
     // Handle files upload to S3 only if files exist (rawFiles is plain object, values are arrays of file objects)
     const filesObj = {};
     const uploadPromises = [];
+    const failedUploads = [];
 
     if (rawFiles && Object.keys(rawFiles).length > 0) {
+      // Quota check up front for the whole request; files identical to stored ones take no new space
+      const allFiles = Object.values(rawFiles).flat().filter(f => f && f.filepath);
+      const storedHashes = await getStoredHashes(req.shop, allFiles.map(f => f.hash));
+      const newBytes = allFiles.filter(f => !storedHashes.has(f.hash)).reduce((sum, f) => sum + (f.size || 0), 0);
+      try {
+        await checkStorageQuota(policy, req.shop, newBytes);
+      } catch (err) {
+        cleanupTempFiles(rawFiles);
+        throw err;
+      }
+
       for (const [name, fileArray] of Object.entries(rawFiles)) {
         console.log(`📁 Processing file field: ${name}, files count: ${fileArray.length}`);  // Debug
         fileArray.forEach((fileObj, index) => {
@@ -147,15 +226,17 @@ async function parseFormData(req) {
               return;
             }
 
-            const uploadPromise = uploadFileStreamToS3(name, fileObj, fieldsObj);
+            const uploadPromise = uploadFileStreamToS3(name, fileObj, productData, { shop: req.shop, policy });
             uploadPromises.push(
-              uploadPromise.then(result => {
+              uploadPromise.then(async result => {
                 if (result) {
+                  if (!result.reused) await recordStoredFile({ ...result, shop: req.shop, source: 'upload' });
                   if (!filesObj[name]) filesObj[name] = [];
-                  filesObj[name].push(result);
+                  filesObj[name][index] = result;  // Keep form order, uploads finish in any order
                 }
               }).catch(err => {
                 console.error(`Error uploading file ${name}[${index}]:`, err);
+                failedUploads.push({ field: `${name}[${index}]`, error: err });
               })
             );
           }
@@ -163,56 +244,62 @@ async function parseFormData(req) {
       }
 
       await Promise.all(uploadPromises);
+      for (const name of Object.keys(filesObj)) {
+        filesObj[name] = filesObj[name].filter(f => f);
+      }
+
+      // All or nothing: a partially uploaded request must not replace any existing file
+      if (failedUploads.length > 0) {
+        cleanupTempFiles(rawFiles);
+        await rollbackUploads(getUploadedKeys(filesObj), req.shop);
+        // A rejected file (type, size, virus scan) is the client's problem; otherwise Spaces failed us
+        const rejected = failedUploads.find(f => f.error.statusCode);
+        if (rejected) throw rejected.error;
+        const err = new Error(`Failed to upload ${failedUploads.map(f => f.field).join(', ')} - no changes were saved`);
+        err.statusCode = 502;
+        throw err;
+      }
     } else {
       console.log('ℹ️ No files in request - proceeding with product data only');
     }
 
     // Cleanup temp files if any
-    if (rawFiles) {
-      for (const [name, fileArray] of Object.entries(rawFiles)) {
-        fileArray.forEach(fileObj => {
-          if (fileObj && fileObj.filepath && fs.existsSync(fileObj.filepath)) {
-            fs.unlinkSync(fileObj.filepath);
-            console.log(`🗑️ Cleaned up temp file: ${fileObj.filepath}`);
-          }
-        });
-      }
-    }
+    cleanupTempFiles(rawFiles);
 
     console.log('✅ Parsing complete. Fields count:', Object.keys(fieldsObj).length, 'Files count:', Object.keys(filesObj).length);  // Debug
-    return { fields: fieldsObj, files: filesObj };
+    return { fields: fieldsObj, files: filesObj, productData };
   } catch (error) {
     console.error('Form parse error:', error);
+    if (error.httpCode && !error.statusCode) throw formidableRejection(error);
     throw error;
   }
 }
 
-async function uploadFileStreamToS3(fieldName, file, fields) {
-  // Generate path based on fieldName (common or variant)
-  const productDataStr = getField(fields, "productData") || '';
+// fieldName is "file" or "variantFiles[<variant id>]", already checked against productData by parseFormData
+async function uploadFileStreamToS3(fieldName, file, productData, { shop, policy }) {
+  const variantId = fieldName.match(/\[(.+)\]/)?.[1] || null;
+  const type = fieldName === 'file' ? 'common' : 'variant';
+  const { key, cleanFileName } = buildFileKey(productData?.productId, file.originalFilename, { variantId, contentHash: file.hash });
 
-  let productData;
-  try {
-    productData = JSON.parse(productDataStr);
-    console.log("✅ Product data parsed from fields:", productData.productId);
-  } catch (e) {
-    console.error("❌ Invalid productData in fields:", e);
-    return null;  // Fail upload if no valid productData
-  }
+  // Type, size and virus scan before anything is stored; ContentType comes from the sniffed bytes, not the browser
+  const { contentType, scan } = await screenLocalFile(policy, { shop, productId: productData.productId, file, fileName: cleanFileName, key });
 
-  const currentYearStr = new Date().getFullYear().toString();
-  const monthStr = (new Date().getMonth() + 1).toString().padStart(2, "0");
-  const cleanFileName = (file.originalFilename || 'unknown').replace(/\s+/g, "_");
-  const numericId = productData?.productId?.split("/").pop() || 'unknown';
-
-  let key;
-  if (fieldName === 'file') {
-    key = `private/wp-content/uploads/${currentYearStr}/${monthStr}/${numericId}/${cleanFileName}`;
-  } else if (fieldName.startsWith('variantFiles[')) {
-    const variantId = fieldName.match(/\[(.+)\]/)?.[1] || 'unknown';
-    key = `private/wp-content/uploads/${currentYearStr}/${monthStr}/${numericId}/${cleanFileName}`;
-  } else {
-    return null;
+  // Same content already stored for this shop: point at that object instead of uploading a duplicate
+  const existing = await findReusableFile(shop, file.hash);
+  if (existing) {
+    console.log(`♻️ Reusing stored object for ${fieldName}: ${existing.key}`);
+    return {
+      key: existing.key,
+      url: getObjectUrl(existing.key),
+      name: cleanFileName,
+      size: file.size || existing.size || 0,
+      contentType,
+      sha256: file.hash,
+      productId: productData.productId,
+      type,
+      variantId,
+      reused: true
+    };
   }
 
   console.log(`📁 Generated S3 key: ${key}`);
@@ -221,201 +308,64 @@ async function uploadFileStreamToS3(fieldName, file, fields) {
     Bucket: process.env.DO_SPACES_BUCKET_NAME,
     Key: key,
     Body: fs.createReadStream(file.filepath),
-    ContentType: file.mimetype || "application/octet-stream",
+    ContentType: contentType,
     ACL: "private",
   };
 
-  try {
-    const uploadResult = await s3.upload(params).promise();
-    console.log(`✅ Upload success for ${fieldName}: ${uploadResult.Key}`);
-    return {
-      key: uploadResult.Key,
-      url: uploadResult.Location,
-      name: cleanFileName,
-      size: file.size || 0,
-      type: fieldName === 'file' ? 'common' : 'variant',
-      variantId: fieldName.match(/\[(.+)\]/)?.[1] || null
-    };
-  } catch (err) {
-    console.error('S3 upload error:', err);
-    return null;
-  }
+  // S3 errors propagate so parseFormData can fail the whole request instead of dropping the file
+  const uploadResult = await s3.upload(params).promise();
+  console.log(`✅ Upload success for ${fieldName}: ${uploadResult.Key}`);
+  return {
+    key: uploadResult.Key,
+    url: uploadResult.Location,
+    name: cleanFileName,
+    size: file.size || 0,
+    contentType,
+    sha256: file.hash,
+    scan,
+    productId: productData.productId,
+    type,
+    variantId
+  };
 }
 
-async function deleteOldFileFromDO(fileKey) {
-  if (!fileKey) return;
-  try {
-    await s3.deleteObject({
-      Bucket: process.env.DO_SPACES_BUCKET_NAME,
-      Key: fileKey,
-    }).promise();
-    console.log("Old file deleted from DO:", fileKey);
-  } catch (err) {
-    console.warn("Failed to delete old file:", err.message || err);
-  }
+// A setting productData leaves out keeps the stored value; only a sent value (null/"" included) changes it
+function settingFromPayload(value, storedValue, parse) {
+  return value === undefined && storedValue !== undefined ? storedValue : parse(value);
 }
 
-async function updateVariantShippingInShopify(shopDomain, accessToken, productId, variantId, requiresShipping) {
-  const action = requiresShipping ? 'physical (shipping on)' : 'digital (shipping off)';
-  console.log(`🔄 Setting variant ${variantId} as ${action} for product ${productId} on shop ${shopDomain}`);
-  const client = new GraphQLClient(`https://${shopDomain}/admin/api/2024-10/graphql.json`,
-    {
-      headers: { "X-Shopify-Access-Token": accessToken, "Content-Type": "application/json" },
-    }
-  );
-
-  const getInventoryItemIdQuery = gql`
-    query getVariantInventory($variantId: ID!) {
-      productVariant(id: $variantId) {
-        id
-        inventoryItem { id requiresShipping }
-      }
-    }
-  `;
-
-  try {
-    const inventoryData = await client.request(getInventoryItemIdQuery, { variantId });
-    const variant = inventoryData.productVariant;
-    if (!variant) {
-      console.warn(`⚠️ Variant not found: ${variantId}`);
-      return { status: false, error: `Variant not found: ${variantId}` };
-    }
-
-    const inventoryItem = variant.inventoryItem;
-    if (!inventoryItem || !inventoryItem.id) {
-      console.warn(`⚠️ No inventory item found for variant ${variantId} (may already be ${action} or no inventory tracking)`);
-      return { status: false, error: `No inventory item for variant ${variantId}` };
-    }
-
-    // If already matches the target, skip update
-    if (inventoryItem.requiresShipping === requiresShipping) {
-      console.log(`✅ Variant ${variantId} already set as ${action} (requiresShipping: ${requiresShipping})`);
-      return { status: true };
-    }
-
-    const updateInventoryMutation = gql`
-      mutation updateInventoryItem($id: ID!, $requiresShipping: Boolean!) {
-        inventoryItemUpdate(id: $id, input: { requiresShipping: $requiresShipping }) {
-          inventoryItem { id requiresShipping }
-          userErrors { field message }
-        }
-      }
-    `;
-
-    const result = await client.request(updateInventoryMutation, { id: inventoryItem.id, requiresShipping });
-    if (result.inventoryItemUpdate.userErrors?.length > 0) {
-      console.error("Shopify update errors for variant:", result.inventoryItemUpdate.userErrors);
-      return { status: false, errors: result.inventoryItemUpdate.userErrors };
-    }
-
-    console.log(`✅ Variant ${variantId} set as ${action} in Shopify`);
-    return { status: true };
-  } catch (error) {
-    console.error(`❌ Error setting variant ${variantId} as ${action}:`, error.message);
-    return { status: false, error: error.message };
-  }
-}
+const toFlag = value => value === true || value === "true";
 
 async function saveDigitalProduct(existingId, data) {
   if (!existingId) return await DigitalProduct.create(data);
-  return await DigitalProduct.findByIdAndUpdate(existingId, data, { new: true });
-}
-
-async function updateProductTagsInShopify(shopDomain, accessToken, productId, newTags = []) {
-  console.log(`🔄 Updating tags for product ${productId} on shop ${shopDomain} with new tags:`, newTags);
-  if (!newTags.length) {
-    console.warn('⚠️ No tags to update');
-    return { status: false, message: "No tags to update" };
-  }
-
-  const client = new GraphQLClient(`https://${shopDomain}/admin/api/2024-10/graphql.json`, {  // Fixed: Use 2024-10
-    headers: {
-      "X-Shopify-Access-Token": accessToken,
-      "Content-Type": "application/json",
-    },
-  });
-
-  // First, check if product exists
-  const checkProductQuery = gql`
-    query checkProduct($id: ID!) {
-      product(id: $id) {
-        id
-        title
-        tags
-      }
-    }
-  `;
-
-  try {
-    const productCheck = await client.request(checkProductQuery, { id: productId });
-    const product = productCheck?.product;
-    if (!product) {
-      console.error(`❌ Product not found: ${productId}`);
-      return { status: false, error: `Product not found: ${productId}` };
-    }
-
-    console.log(`📋 Product found: ${product.title}, Current tags:`, product.tags || []);
-
-    const currentTags = product.tags || [];
-    const updatedTags = Array.from(new Set([...currentTags, ...newTags]));
-    console.log(`📋 Updated tags:`, updatedTags);
-
-    // If no change, skip update
-    if (updatedTags.length === currentTags.length && updatedTags.every(tag => currentTags.includes(tag))) {
-      console.log('ℹ️ No tag changes needed');
-      return { status: true, tags: updatedTags };
-    }
-
-    const updateTagsMutation = gql`
-      mutation updateProductTags($id: ID!, $tags: [String!]!) {
-        productUpdate(input: { id: $id, tags: $tags }) {
-          product { id tags }
-          userErrors { field message }
-        }
-      }
-    `;
-
-    const result = await client.request(updateTagsMutation, { id: productId, tags: updatedTags });
-
-    if (result.productUpdate.userErrors?.length > 0) {
-      console.error("Tag update errors:", result.productUpdate.userErrors);
-      return { status: false, errors: result.productUpdate.userErrors };
-    }
-
-    console.log("✅ Product tags updated successfully:", updatedTags);
-    return { status: true, tags: updatedTags };
-  } catch (error) {
-    console.error(`❌ Error updating tags for ${productId}:`, error.message);
-    return { status: false, error: error.message };
-  }
+  return await DigitalProduct.findOneAndUpdate({ _id: existingId, shop: data.shop }, data, { new: true });
 }
 
 // NO GLOBAL MIDDLEWARE - Handle everything inside routes
 
 // Main Handler Route (Converted from Next.js default export)
-app.post('/api/upload', async (req, res) => {
+app.post('/api/upload', authenticateShop, async (req, res) => {
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
 
-  try {
-    const { fields, files } = await parseFormData(req);
-    const productDataStr = getField(fields, "productData");
-
-    // Enhanced logging for missing productData
-    if (!productDataStr) {
-      console.error('❌ MISSING productData field! Full fields received:', Object.keys(fields));
-      return res.status(400).json({ error: "Missing productData field. Ensure frontend appends JSON-stringified productData to FormData." });
-    }
+  // Objects created by this request; removed again unless the product is saved and verified
+  let uploadedKeys = [];
+  let committed = false;
 
-    console.log('✅ productData received and parsed. Keys:', Object.keys(JSON.parse(productDataStr)));
-    const productData = JSON.parse(productDataStr);
-    const id = productData.id;
+  try {
+    // productData has been validated against utils/productDataSchema.js (422 otherwise)
+    const { files, productData } = await parseFormData(req);
+    uploadedKeys = getUploadedKeys(files);
+    console.log('✅ productData received and parsed. Keys:', Object.keys(productData));
+    const id = productData.id || undefined;
 
     const alreadyExists = await DigitalProduct.findOne({
+      shop: req.shop,
       productId: productData.productId,
       _id: { $ne: id }
     });
 
     if (alreadyExists) {
+      await rollbackUploads(uploadedKeys, req.shop);
       return res.status(400).json({ error: "Product already exists" });
     }
     
@@ -424,7 +374,7 @@ app.post('/api/upload', async (req, res) => {
 
     // Handle files if present (no-file case: these will be null/empty)
     if (files.file && files.file.length > 0) {
-      commonFile = files.file.filter(f => f !== null); // Filter failed uploads if any
+      commonFile = files.file;
       console.log(`📁 Common file(s) uploaded: ${commonFile.length}`);
     } else {
       console.log('ℹ️ No common file uploaded - using existing if update');
@@ -457,8 +407,8 @@ app.post('/api/upload', async (req, res) => {
 
     if (productData.id) {
       // Update mode
-      existingProduct = await DigitalProduct.findById(productData.id);
-      if (!existingProduct) throw new Error("Existing product not found");
+      existingProduct = await DigitalProduct.findOne({ _id: productData.id, shop: req.shop });
+      if (!existingProduct) throw uploadRejection(404, 'product_not_found', "Product not found");  // unknown id or another store's product
 
       oldMode = existingProduct.fileType === "common" ? "common" : "variant";
       console.log("🔄 Update mode: oldMode:", oldMode, "newMode:", newMode, "(Single variant override:", isSingleVariant, ")");
@@ -468,17 +418,14 @@ app.post('/api/upload', async (req, res) => {
     }
 
     // For single variant: If file came as variantFiles, move it to commonFile
-    if (isSingleVariant && variantFileMap.length > 0 && commonFile.length === 0) {
+    if (isSingleVariant && variantFileMap.length > 0 && (!commonFile || commonFile.length === 0)) {
       console.log("🔄 Single variant: Moving variant file to common file handling");
       commonFile = variantFileMap[0]?.file || [];
       variantFileMap = []; // Clear variant map
     }
 
     // Handle mode switch migration if no new files
-    let migratedCommonKey = null;
-    let migratedCommonUrl = null;
-    let migratedCommonName = null;
-    let migratedCommonSize = null;
+    let migratedCommonFiles = null;
 
     if (existingProduct && oldMode && oldMode !== newMode) {
       const hasNewCommon = commonFile && commonFile.length > 0;
@@ -488,20 +435,11 @@ app.post('/api/upload', async (req, res) => {
       if (!hasNewFiles) {
         console.log(`🔄 Migrating files for mode switch from ${oldMode} to ${newMode} without new uploads`);
         if (newMode === "common" && oldMode === "variant") {
-          // Choose first variant with a file as the common file
-          let chosenVariant = null;
-          for (const ev of existingProduct.variants) {
-            if (ev.fileKey) {
-              chosenVariant = ev;
-              break;
-            }
-          }
+          // Choose first variant with files as the common file list
+          const chosenVariant = existingProduct.variants.find(ev => getVariantFiles(ev).length > 0);
           if (chosenVariant) {
-            migratedCommonKey = chosenVariant.fileKey;
-            migratedCommonUrl = chosenVariant.fileUrl;
-            migratedCommonName = chosenVariant.fileName;
-            migratedCommonSize = chosenVariant.fileSize;
-            console.log('📂 Migrated common file from variant:', chosenVariant.id);
+            migratedCommonFiles = getVariantFiles(chosenVariant);
+            console.log('📂 Migrated common files from variant:', chosenVariant.id);
           } else {
             console.warn('⚠️ No existing file to migrate for common mode');
           }
@@ -513,164 +451,1461 @@ app.post('/api/upload', async (req, res) => {
     }
 
     let productObject = {
+      shop: req.shop,
       name: productData.title,
       productId: productData.productId,
       productImage: productData.productImage,
       status: productData.status,
       variants: [],
       fileType: newMode === "common" ? "common" : "variant", // Use normalized newMode
-      totalVariants: productData.totalVariants
+      totalVariants: productData.totalVariants,
+      downloadLimit: settingFromPayload(productData.downloadLimit, existingProduct?.downloadLimit, toLimit),
+      accessDays: settingFromPayload(productData.accessDays, existingProduct?.accessDays, toLimit),
+      watermarkPdfs: settingFromPayload(productData.watermarkPdfs, existingProduct?.watermarkPdfs, toFlag),
+      licenseKeysEnabled: settingFromPayload(productData.licenseKeysEnabled, existingProduct?.licenseKeysEnabled, toFlag),
+      licenseKeyPattern: settingFromPayload(productData.licenseKeyPattern, existingProduct?.licenseKeyPattern, p => p || null),
+      buyerVersionPolicy: productData.buyerVersionPolicy || existingProduct?.buyerVersionPolicy || 'latest'
     };
 
     for (let i = 0; i < productData.variants.length; i++) {
       const v = productData.variants[i];
-      let fileKey = v.fileKey || "";
-      let fileUrl = v.fileUrl || "";
-      let fileName = v.fileName || "";
-      let fileSize = v.fileSize || 0;
+      // Files the frontend kept for this variant (in order); falls back to what is stored in DB
+      const payloadFiles = getVariantFiles(v);
+      let files = [];
 
       const isCommonMode = newMode === "common"; // Use normalized mode
       if (isCommonMode) {
         // Common file mode
         if (commonFile && commonFile.length > 0) {
           // New common file upload
-          const commonUpload = commonFile[0];
-          fileKey = commonUpload.key;
-          fileUrl = commonUpload.url;
-          fileName = commonUpload.name;
-          fileSize = commonUpload.size;
-          console.log(`📁 Using new common file for variant ${v.id}`);
-        } else if (migratedCommonKey) {
+          files = commonFile.map(toFileEntry);
+          console.log(`📁 Using ${files.length} new common file(s) for variant ${v.id}`);
+        } else if (migratedCommonFiles) {
           // Migrated from variant mode
-          fileKey = migratedCommonKey;
-          fileUrl = migratedCommonUrl;
-          fileName = migratedCommonName;
-          fileSize = migratedCommonSize;
-          console.log(`📂 Using migrated common file for variant ${v.id}`);
+          files = migratedCommonFiles;
+          console.log(`📂 Using migrated common files for variant ${v.id}`);
         } else {
           // No change: use existing (from frontend or DB)
           const oldV = existingProduct?.variants.find(ev => ev.id === v.id) || existingProduct?.variants[0];
-          fileKey = v.fileKey || oldV?.fileKey || "";
-          fileUrl = v.fileUrl || oldV?.fileUrl || "";
-          fileName = v.fileName || oldV?.fileName || "";
-          fileSize = v.fileSize || oldV?.fileSize || 0;
-          console.log(`ℹ️ Using existing common file for variant ${v.id}`);
+          files = payloadFiles.length > 0 ? payloadFiles : getVariantFiles(oldV);
+          console.log(`ℹ️ Using existing common files for variant ${v.id}`);
         }
       } else {
         // Per-variant file mode
         const variantUploadObj = variantFileMap.find(vm => vm.id === v.id);
         if (variantUploadObj && variantUploadObj.file && variantUploadObj.file.length > 0) {
-          // New variant file upload
-          const newUpload = variantUploadObj.file[0];
-          fileKey = newUpload.key;
-          fileUrl = newUpload.url;
-          fileName = newUpload.name;
-          fileSize = newUpload.size;
-          console.log(`📁 Using new variant file for ${v.id}`);
+          // New uploads are appended after the files the frontend kept (v.appendFiles) or replace them
+          const newFiles = variantUploadObj.file.map(toFileEntry);
+          files = v.appendFiles ? [...payloadFiles, ...newFiles] : newFiles;
+          console.log(`📁 Using ${newFiles.length} new variant file(s) for ${v.id}`);
         } else if (existingProduct && oldMode === "common" && oldMode !== newMode) {
           // Migrated from common mode
-          const oldCommonFile = existingProduct.variants[0];
-          fileKey = oldCommonFile?.fileKey || v.fileKey || "";
-          fileUrl = oldCommonFile?.fileUrl || v.fileUrl || "";
-          fileName = oldCommonFile?.fileName || v.fileName || "";
-          fileSize = oldCommonFile?.fileSize || v.fileSize || 0;
-          console.log(`📂 Using migrated variant file (from common) for ${v.id}`);
+          const oldCommonFiles = getVariantFiles(existingProduct.variants[0]);
+          files = oldCommonFiles.length > 0 ? oldCommonFiles : payloadFiles;
+          console.log(`📂 Using migrated variant files (from common) for ${v.id}`);
         } else {
           // No change: use existing (from frontend or DB)
           const oldV = existingProduct?.variants?.find(ev => ev.id === v.id);
-          fileKey = v.fileKey || oldV?.fileKey || "";
-          fileUrl = v.fileUrl || oldV?.fileUrl || "";
-          fileName = v.fileName || oldV?.fileName || "";
-          fileSize = v.fileSize || oldV?.fileSize || 0;
-          console.log(`ℹ️ Using existing variant file for ${v.id}`);
+          files = payloadFiles.length > 0 ? payloadFiles : getVariantFiles(oldV);
+          console.log(`ℹ️ Using existing variant files for ${v.id}`);
         }
       }
 
+      const existingVariant = existingProduct?.variants.find(ev => ev.id === v.id);
       const variantObject = {
         id: v.id,
         sku: v.sku,
         title: productData.totalVariants == 1 ? productData.title : v.title,
         image: productData.totalVariants == 1 ? productData.productImage : v.image,
-        fileKey,
-        download: v.download || 0,
-        fileUrl,
-        fileName,
-        fileSize,
+        ...variantFileFields(files),
+        // Replaced files stay on as older versions (restorable); a changed list becomes the new current version
+        ...applyFileVersion(existingVariant, files, { note: v.versionNote || productData.versionNote }),
+        download: existingVariant?.download || 0,  // server-side counter; a client-sent value is ignored
+        downloadLimit: settingFromPayload(v.downloadLimit, existingVariant?.downloadLimit, toLimit),
+        accessDays: settingFromPayload(v.accessDays, existingVariant?.accessDays, toLimit),
+        licenseKeyPattern: settingFromPayload(v.licenseKeyPattern, existingVariant?.licenseKeyPattern, p => p || null),
       };
       productObject.variants.push(variantObject);
     }
 
+    // Keys in productData come from the client: apart from this request's uploads and the files the product already
+    // has, only this store's scanned objects may be attached (never another store's or a quarantined/unscreened one)
+    const trustedKeys = new Set([
+      ...Object.values(files).flat().filter(f => f && f.key).map(f => f.key),
+      ...collectFileKeys(existingProduct?.variants),
+    ]);
+    const untrustedKeys = [...collectFileKeys(productObject.variants)].filter(key => !trustedKeys.has(key));
+    const unattachable = new Set(await findUnattachableKeys(req.shop, untrustedKeys));
+    if (unattachable.size > 0) {
+      const errors = [];
+      productObject.variants.forEach((variant, index) => {
+        getVariantFiles(variant).filter(f => unattachable.has(f.key)).forEach(f => {
+          errors.push({ path: `productData.variants[${index}].files`, message: `${f.key} is not a scanned upload of this store` });
+        });
+      });
+      throw validationError(errors);
+    }
+
     const productDataSave = await saveDigitalProduct(productData.id, productObject);
     if (!productDataSave) throw new Error("Failed to save digital product in mongo");
 
+    // Read the document back before touching any old object: the stored variants must reference every new file
+    const savedProduct = await DigitalProduct.findById(productDataSave._id).lean();
+    const savedKeys = collectFileKeys(savedProduct?.variants);
+    const missingKeys = [...collectFileKeys(productObject.variants)].filter(key => !savedKeys.has(key));
+    if (!savedProduct || missingKeys.length > 0) {
+      throw new Error("Saved product does not reference the uploaded files");
+    }
+    committed = true;
+    await syncProductFileReferences(savedProduct);
+
     console.log(`💾 Product saved/updated in Mongo: ${productDataSave._id}`);
 
+    // Side effects run in the background job queue so the response does not wait on Spaces/Shopify
+    const jobs = {};
+
+    // Uploads the product ended up not using (e.g. files sent for a variant that is not in productData)
+    const strayKeys = uploadedKeys.filter(key => !savedKeys.has(key));
+    if (strayKeys.length > 0) {
+      jobs.stray = (await enqueueJob('storage.deleteFiles', { keys: strayKeys }, { shop: req.shop }))._id;
+    }
+
     // Clean up unused old files (global: delete only if not referenced in new product)
     if (existingProduct) {
-      const newFileKeys = new Set(productObject.variants.map(v => v.fileKey).filter(k => k));
-      const oldFileKeys = new Set(existingProduct.variants.map(v => v.fileKey).filter(k => k));
-      const toDelete = [...oldFileKeys].filter(key => !newFileKeys.has(key));
-      console.log(`🗑️ Deleting ${toDelete.length} unused old files`);
-      await Promise.all(toDelete.map(key => deleteOldFileFromDO(key)));
-    }
-
-    // Shopify Integration - Always attempt if session exists
-    const shop = process.env.SHOP_DOMAIN;
-    const shopSession = await ShopifySession.findOne({ shop });
-    if (shopSession) {
-      console.log(`🔗 Found Shopify session for ${shop}`);
-      try {
-        // Handle removed variants: Set shipping to true (physical)
-        if (existingProduct && productData.id) {
-          const newVariantIds = new Set(productObject.variants.map(v => v.id));
-          const removedVariants = existingProduct.variants.filter(ev => !newVariantIds.has(ev.id));
-          console.log(`🔄 Detected ${removedVariants.length} removed variants`);
-          let revertSuccessCount = 0;
-          for (const removedVariant of removedVariants) {
-            const result = await updateVariantShippingInShopify(shopSession.shop, shopSession.accessToken, productData.productId, removedVariant.id, true);
-            if (result.status) revertSuccessCount++;
-          }
-          console.log(`✅ ${revertSuccessCount}/${removedVariants.length} removed variants set as physical (shipping on)`);
-        }
-
-        // Set remaining variants as digital (shipping off)
-        let digitalSuccessCount = 0;
-        for (let i = 0; i < productData.variants.length; i++) {
-          const result = await updateVariantShippingInShopify(shopSession.shop, shopSession.accessToken, productData.productId, productData.variants[i].id, false);
-          if (result.status) digitalSuccessCount++;
-        }
-        console.log(`✅ ${digitalSuccessCount}/${productData.variants.length} variants set as digital`);
+      const unusedKeys = getUnusedFileKeys(existingProduct.variants, productObject.variants);
+      if (unusedKeys.length > 0) {
+        jobs.cleanup = (await enqueueJob('storage.deleteFiles', { keys: unusedKeys }, { shop: req.shop }))._id;
+      }
+    }
 
-        // Update tags
-        const newTags = ["Digital Product"];
-        const tagResult = await updateProductTagsInShopify(shopSession.shop, shopSession.accessToken, productData.productId, newTags);
-        if (tagResult.status) {
-          console.log('✅ Tags updated successfully');
-        } else {
-          console.error('❌ Tags update failed:', tagResult);
-        }
-      } catch (error) {
-        console.warn("Shopify integration failed :", error.message || error);
+    // Shopify: removed variants back to physical, remaining variants digital, tag the product
+    const newVariantIds = new Set(productObject.variants.map(v => v.id));
+    const removedVariants = existingProduct ? existingProduct.variants.filter(ev => !newVariantIds.has(ev.id)) : [];
+    jobs.shopify = (await enqueueJob('shopify.syncProduct', {
+      productId: productData.productId,
+      digitalVariantIds: productData.variants.map(v => v.id),
+      revertVariantIds: removedVariants.map(v => v.id),
+      tags: ["Digital Product"],
+    }, { shop: req.shop }))._id;
+
+    // Opt-in: tell existing buyers about replaced files (one fan-out job per variant).
+    // Buyers pinned to their purchased version keep it, so there is nothing new to tell them.
+    const notifyBuyers = existingProduct && (productData.notifyBuyers === true || productData.notifyBuyers === "true");
+    if (notifyBuyers && !isMailConfigured()) {
+      console.warn(`⚠️ Mail is not configured - buyers of ${savedProduct.productId} are not notified`);
+    } else if (notifyBuyers && savedProduct.buyerVersionPolicy !== 'purchased') {
+      const replacedVariants = getReplacedVariants(existingProduct.toObject().variants, savedProduct.variants);
+      jobs.notify = [];
+      for (const variant of replacedVariants) {
+        const job = await enqueueJob('email.notifyFileUpdate', {
+          productId: savedProduct.productId,
+          variantId: variant.id,
+          version: getCurrentVersion(variant).number,
+        }, { shop: req.shop });
+        jobs.notify.push(job._id);
       }
-    } else {
-      console.warn(`⚠️ No Shopify session found for ${shop} - skipping Shopify updates`);
     }
 
     const isUpdate = !!productData.id;
     const message = isUpdate ? "Product updated successfully" : "Product created successfully";
     console.log(`🎉 ${message}`);
-    return res.status(200).json({ message, status: true });
+    return res.status(200).json({ message, status: true, jobs });
   } catch (error) {
     console.error("Handler error:", error);
+    if (!committed) await rollbackUploads(uploadedKeys, req.shop);
+    return sendUploadError(res, error);
+  }
+});
+
+// Product Read / List / Delete Routes
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Accepts a Mongo _id, a numeric Shopify id, or a URL-encoded product GID; always scoped to the shop
+function productQueryFromParam(param, shop) {
+  if (mongoose.Types.ObjectId.isValid(param) && String(param).length === 24) return { _id: param, shop };
+  if (/^\d+$/.test(param)) return { productId: `gid://shopify/Product/${param}`, shop };
+  return { productId: param, shop };
+}
+
+app.get('/api/products', authenticateShop, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { shop: req.shop };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.fileType) filter.fileType = req.query.fileType;
+    if (req.query.search) filter.name = { $regex: escapeRegex(String(req.query.search)), $options: 'i' };
+
+    const [products, total] = await Promise.all([
+      DigitalProduct.find(filter).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      DigitalProduct.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      status: true,
+      products,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("List products error:", error);
     return res.status(500).json({ error: error.message || "Internal server error" });
   }
 });
 
-// Test Route
-app.get('/', (req, res) => {
-  res.send('Digital Product Uploader API is running on Node.js!');
+app.get('/api/products/:productId', authenticateShop, async (req, res) => {
+  try {
+    const product = await DigitalProduct.findOne(productQueryFromParam(req.params.productId, req.shop)).lean();
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    return res.status(200).json({ status: true, product });
+  } catch (error) {
+    console.error("Get product error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+app.delete('/api/products/:productId', authenticateShop, async (req, res) => {
+  try {
+    const product = await DigitalProduct.findOne(productQueryFromParam(req.params.productId, req.shop));
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    await DigitalProduct.deleteOne({ _id: product._id });
+    await releaseProductFileReferences(product.productId);
+    console.log(`🗑️ Digital product removed from Mongo: ${product.productId}`);
+
+    const fileKeys = [...collectFileKeys(product.variants)];
+    const jobs = {};
+    if (fileKeys.length > 0) {
+      jobs.cleanup = (await enqueueJob('storage.deleteFiles', { keys: fileKeys }, { shop: req.shop }))._id;
+    }
+
+    // Revert all variants to physical (shipping on)
+    jobs.shopify = (await enqueueJob('shopify.syncProduct', {
+      productId: product.productId,
+      revertVariantIds: product.variants.map(v => v.id),
+    }, { shop: req.shop }))._id;
+
+    return res.status(200).json({ message: "Product deleted successfully", status: true, jobs });
+  } catch (error) {
+    console.error("Delete product error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// License Key Pool Admin Routes
+app.get('/api/products/:productId/variants/:variantId/license-keys', authenticateShop, async (req, res) => {
+  try {
+    const product = await DigitalProduct.findOne(productQueryFromParam(req.params.productId, req.shop));
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    const variantId = req.params.variantId;
+    const filter = { productId: product.productId, variantId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [keys, counts] = await Promise.all([
+      LicenseKey.find(filter).sort({ createdAt: 1 }).limit(Math.min(parseInt(req.query.limit, 10) || 100, 1000)).lean(),
+      LicenseKey.aggregate([{ $match: { productId: product.productId, variantId } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ]);
+
+    const summary = { available: 0, assigned: 0, revoked: 0 };
+    counts.forEach(c => { summary[c._id] = c.count; });
+    return res.status(200).json({ status: true, summary, keys });
+  } catch (error) {
+    console.error("List license keys error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Body: { keys: ["AAAA-...", ...] } to import, or { generate: <count>, pattern?: "XXXX-9999" } to fill from a pattern
+// Buyers who ordered while the pool was empty get the new keys in the background
+async function queueOwedKeyFill(shop, product, variant) {
+  const job = await enqueueJob('licenseKeys.fillOwed', { productId: product.productId, variantId: variant.id }, { shop });
+  return job._id;
+}
+
+app.post('/api/products/:productId/variants/:variantId/license-keys', authenticateShop, express.json({ limit: '5mb' }), async (req, res) => {
+  try {
+    const product = await DigitalProduct.findOne(productQueryFromParam(req.params.productId, req.shop));
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    const variant = product.variants.find(v => v.id === req.params.variantId);
+    if (!variant) return res.status(404).json({ error: `Variant not found: ${req.params.variantId}` });
+
+    const { keys, generate, pattern } = req.body || {};
+    if (Array.isArray(keys)) {
+      const result = await importLicenseKeys(product.productId, variant.id, keys);
+      console.log(`🔑 Imported ${result.imported} license keys for variant ${variant.id} (${result.skipped} skipped)`);
+      if (result.imported > 0) result.job = await queueOwedKeyFill(req.shop, product, variant);
+      return res.status(200).json({ status: true, ...result });
+    }
+
+    const count = parseInt(generate, 10);
+    if (count > 0 && count <= 10000) {
+      const keyPattern = pattern || resolveLicenseKeyPattern(product, variant) || undefined;
+      const result = await generateLicenseKeys(product.productId, variant.id, count, keyPattern);
+      console.log(`🔑 Generated ${result.generated} license keys for variant ${variant.id}`);
+      if (result.generated > 0) result.job = await queueOwedKeyFill(req.shop, product, variant);
+      return res.status(200).json({ status: true, ...result });
+    }
+
+    return res.status(400).json({ error: "Provide keys (array) or generate (1-10000)" });
+  } catch (error) {
+    console.error("Add license keys error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// File Version History - list a variant's file versions and switch the current one (rollback)
+function toVersionSummary(version, currentNumber) {
+  return {
+    number: version.number,
+    current: version.number === currentNumber,
+    note: version.note || null,
+    uploadedAt: version.uploadedAt || null,
+    files: (version.files || []).map(f => ({ key: f.key, name: f.name, size: f.size, contentType: f.contentType })),
+  };
+}
+
+app.get('/api/products/:productId/variants/:variantId/versions', authenticateShop, async (req, res) => {
+  try {
+    const product = await DigitalProduct.findOne(productQueryFromParam(req.params.productId, req.shop)).lean();
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    const variant = product.variants.find(v => v.id === req.params.variantId);
+    if (!variant) return res.status(404).json({ error: `Variant not found: ${req.params.variantId}` });
+
+    const current = getCurrentVersion(variant);
+    return res.status(200).json({
+      status: true,
+      buyerVersionPolicy: product.buyerVersionPolicy || 'latest',
+      currentVersion: current?.number ?? null,
+      versions: getVersions(variant).map(v => toVersionSummary(v, current?.number)).reverse(),  // newest first
+    });
+  } catch (error) {
+    console.error("List file versions error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Body: { version: <number> } - makes that version's files the ones served to buyers; nothing is deleted
+app.put('/api/products/:productId/variants/:variantId/versions/current', authenticateShop, express.json(), async (req, res) => {
+  try {
+    const number = parseInt(req.body?.version, 10);
+    if (!number) return res.status(400).json({ error: "version (number) is required" });
+
+    const product = await DigitalProduct.findOne(productQueryFromParam(req.params.productId, req.shop));
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    const variant = product.variants.find(v => v.id === req.params.variantId);
+    if (!variant) return res.status(404).json({ error: `Variant not found: ${req.params.variantId}` });
+
+    const versions = getVersions(variant.toObject());
+    const version = versions.find(v => v.number === number);
+    if (!version) return res.status(404).json({ error: `Version ${number} not found` });
+
+    // versions is persisted as well, so a legacy variant keeps its seeded version 1
+    variant.set({ ...variantFileFields(version.files), versions, currentVersion: version.number });
+    await product.save();
+    await syncProductFileReferences(product);
+
+    console.log(`⏪ Variant ${variant.id} of ${product.productId} switched to file version ${number}`);
+    return res.status(200).json({
+      message: `Version ${number} is now current`,
+      status: true,
+      currentVersion: number,
+      versions: versions.map(v => toVersionSummary(v, number)).reverse(),
+    });
+  } catch (error) {
+    console.error("Set current file version error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
 });
 
+// Upload Rules - allowed types, size limits and storage quota per store
+const MIME_PATTERN_REGEX = /^[\w.+-]+\/([\w.+-]+|\*)$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function toStringList(value, normalize) {
+  if (value === undefined || value === null) return undefined;
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) return null;
+  return [...new Set(value.map(normalize).filter(v => v))];
+}
+
+app.get('/api/settings/uploads', authenticateShop, async (req, res) => {
+  try {
+    const [settings, policy, usage] = await Promise.all([
+      ShopSettings.findOne({ shop: req.shop }).lean(),
+      getUploadPolicy(req.shop),
+      getStorageUsage(req.shop),
+    ]);
+    return res.status(200).json({ status: true, settings: settings?.uploads || {}, policy, usage });
+  } catch (error) {
+    console.error("Get upload settings error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Body: { allowedExtensions?: ["pdf"], allowedMimeTypes?: ["application/pdf", "image/*"], maxFileSize?: bytes, storageQuota?: bytes }
+// null clears a setting back to the app default
+app.put('/api/settings/uploads', authenticateShop, express.json(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const update = {};
+
+    const extensions = toStringList(body.allowedExtensions, ext => ext.trim().replace(/^\./, '').toLowerCase());
+    const mimeTypes = toStringList(body.allowedMimeTypes, type => type.trim().toLowerCase());
+    if (extensions === null) return res.status(400).json({ error: "allowedExtensions must be an array of strings" });
+    if (mimeTypes === null || mimeTypes?.some(type => !MIME_PATTERN_REGEX.test(type))) {
+      return res.status(400).json({ error: "allowedMimeTypes must be an array of MIME types like application/pdf or image/*" });
+    }
+    if (body.allowedExtensions !== undefined) update['uploads.allowedExtensions'] = extensions || [];
+    if (body.allowedMimeTypes !== undefined) update['uploads.allowedMimeTypes'] = mimeTypes || [];
+
+    for (const field of ['maxFileSize', 'storageQuota']) {
+      if (body[field] === undefined) continue;
+      if (body[field] !== null && !(Number.isInteger(body[field]) && body[field] >= 0)) {
+        return res.status(400).json({ error: `${field} must be a whole number of bytes or null` });
+      }
+      update[`uploads.${field}`] = body[field];
+    }
+
+    await ShopSettings.findOneAndUpdate({ shop: req.shop }, { $set: update, $setOnInsert: { shop: req.shop } }, { upsert: true });
+    const policy = await getUploadPolicy(req.shop);
+    console.log(`⚙️ Upload rules updated for ${req.shop}`);
+    return res.status(200).json({ message: "Upload settings saved", status: true, policy });
+  } catch (error) {
+    console.error("Update upload settings error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Email Templates - per-store Handlebars templates for buyer emails; unset parts use the app default
+app.get('/api/email-templates/:type', authenticateShop, async (req, res) => {
+  try {
+    if (!isTemplateType(req.params.type)) return res.status(404).json({ error: "Unknown email template" });
+    const template = await getEmailTemplate(req.shop, req.params.type);
+    return res.status(200).json({ status: true, template, defaults: DEFAULT_TEMPLATES[req.params.type] });
+  } catch (error) {
+    console.error("Get email template error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Body: { enabled?: boolean, subject?: "...", html?: "...", text?: "..." } - null resets a part to the default
+app.put('/api/email-templates/:type', authenticateShop, express.json({ limit: '1mb' }), async (req, res) => {
+  try {
+    if (!isTemplateType(req.params.type)) return res.status(404).json({ error: "Unknown email template" });
+    const body = req.body || {};
+    const errors = validateTemplateParts(body);
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') errors.push({ path: 'enabled', message: 'must be true or false' });
+    if (errors.length > 0) return res.status(422).json({ error: "Invalid email template", reason: "validation_failed", errors });
+
+    const update = {};
+    if (body.enabled !== undefined) update.enabled = body.enabled;
+    for (const part of TEMPLATE_PARTS) {
+      if (body[part] !== undefined) update[part] = body[part] || null;
+    }
+    await EmailTemplate.findOneAndUpdate(
+      { shop: req.shop, type: req.params.type },
+      { $set: update, $setOnInsert: { shop: req.shop, type: req.params.type } },
+      { upsert: true }
+    );
+    const template = await getEmailTemplate(req.shop, req.params.type);
+    console.log(`✉️ Email template ${req.params.type} updated for ${req.shop}`);
+    return res.status(200).json({ message: "Email template saved", status: true, template });
+  } catch (error) {
+    console.error("Update email template error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+app.delete('/api/email-templates/:type', authenticateShop, async (req, res) => {
+  try {
+    if (!isTemplateType(req.params.type)) return res.status(404).json({ error: "Unknown email template" });
+    await EmailTemplate.deleteOne({ shop: req.shop, type: req.params.type });
+    const template = await getEmailTemplate(req.shop, req.params.type);
+    return res.status(200).json({ message: "Email template reset to the default", status: true, template });
+  } catch (error) {
+    console.error("Reset email template error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Renders the saved template, or the unsaved parts in the body, against a sample order
+app.post('/api/email-templates/:type/preview', authenticateShop, express.json({ limit: '1mb' }), async (req, res) => {
+  try {
+    if (!isTemplateType(req.params.type)) return res.status(404).json({ error: "Unknown email template" });
+    const body = req.body || {};
+    const errors = validateTemplateParts(body);
+    if (errors.length > 0) return res.status(422).json({ error: "Invalid email template", reason: "validation_failed", errors });
+
+    const template = await getEmailTemplate(req.shop, req.params.type);
+    for (const part of TEMPLATE_PARTS) {
+      if (body[part]) template[part] = body[part];
+    }
+    const context = await buildSampleDeliveryContext(req.shop);
+    let email;
+    try {
+      email = renderEmail(template, context);
+    } catch (err) {
+      return res.status(422).json({ error: `Template could not be rendered: ${err.message}`, reason: "render_failed" });
+    }
+    return res.status(200).json({ status: true, email, context });
+  } catch (error) {
+    console.error("Preview email template error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Uploads the virus scan rejected; kept under QUARANTINE_PREFIX and never attached to a variant
+app.get('/api/uploads/quarantine', authenticateShop, async (req, res) => {
+  try {
+    const files = await StoredFile.find({ shop: req.shop, status: 'quarantined' })
+      .select('key productId size contentType scan createdAt')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    return res.status(200).json({ status: true, prefix: QUARANTINE_PREFIX, files });
+  } catch (error) {
+    console.error("List quarantined uploads error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Chunked (resumable) Uploads - backed by S3 multipart uploads, parts are streamed straight to Spaces
+const MIN_PART_SIZE = 5 * 1024 * 1024;  // S3 minimum for every part except the last
+const MAX_PARTS = 10000;
+
+// Direct uploads name the product they are for: a Shopify product GID that no other store has saved
+async function checkUploadProduct(shop, productId) {
+  if (typeof productId !== 'string' || !PRODUCT_GID_REGEX.test(productId)) {
+    throw uploadRejection(400, 'invalid_product', "productId must be a Shopify product GID (gid://shopify/Product/<id>)");
+  }
+  if (await DigitalProduct.exists({ productId, shop: { $ne: shop } })) {
+    throw uploadRejection(403, 'product_not_owned', "Product belongs to another store");
+  }
+}
+
+async function listUploadedParts(session) {
+  const parts = [];
+  let marker;
+  do {
+    const page = await s3.listParts({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: session.key,
+      UploadId: session.uploadId,
+      PartNumberMarker: marker,
+    }).promise();
+    parts.push(...(page.Parts || []).map(p => ({ PartNumber: p.PartNumber, ETag: p.ETag, Size: p.Size })));
+    marker = page.IsTruncated ? page.NextPartNumberMarker : null;
+  } while (marker);
+  return parts;
+}
+
+async function findPendingUpload(uploadId, shop, res) {
+  const session = await UploadSession.findOne({ uploadId, shop });
+  if (!session) {
+    res.status(404).json({ error: "Upload not found" });
+    return null;
+  }
+  if (session.status !== 'pending') {
+    res.status(409).json({ error: `Upload already ${session.status}` });
+    return null;
+  }
+  return session;
+}
+
+app.post('/api/uploads/multipart', authenticateShop, express.json(), async (req, res) => {
+  try {
+    const { productId, variantId, fileName, contentType, fileSize } = req.body || {};
+    if (!productId || !fileName) {
+      return res.status(400).json({ error: "productId and fileName are required" });
+    }
+    await checkUploadProduct(req.shop, productId);
+
+    const size = parseInt(fileSize, 10) || 0;
+    // Content is checked on completion; reject what the declared name and size already rule out
+    const policy = await getUploadPolicy(req.shop);
+    checkFileType(policy, fileName);
+    checkFileSize(policy, fileName, size);
+    await checkStorageQuota(policy, req.shop, size);
+
+    const configuredPartSize = parseInt(process.env.UPLOAD_PART_SIZE, 10) || 10 * 1024 * 1024;
+    const partSize = Math.max(configuredPartSize, MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+
+    const { key, cleanFileName } = buildFileKey(productId, fileName, { variantId });
+    const multipart = await s3.createMultipartUpload({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: key,
+      ContentType: contentType || "application/octet-stream",
+      ACL: "private",
+    }).promise();
+
+    await UploadSession.create({
+      uploadId: multipart.UploadId,
+      shop: req.shop,
+      key,
+      productId,
+      variantId,
+      fileName: cleanFileName,
+      contentType: contentType || "application/octet-stream",
+      fileSize: size,
+      partSize,
+    });
+
+    console.log(`📦 Multipart upload started: ${key} (${multipart.UploadId})`);
+    return res.status(200).json({ status: true, uploadId: multipart.UploadId, key, partSize });
+  } catch (error) {
+    console.error("Initiate multipart upload error:", error);
+    return sendUploadError(res, error);
+  }
+});
+
+// Resume support: report which parts Spaces already has
+app.get('/api/uploads/multipart/:uploadId', authenticateShop, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ uploadId: req.params.uploadId, shop: req.shop });
+    if (!session) return res.status(404).json({ error: "Upload not found" });
+
+    const parts = session.status === 'pending' ? await listUploadedParts(session) : [];
+    return res.status(200).json({
+      status: true,
+      uploadStatus: session.status,
+      key: session.key,
+      partSize: session.partSize,
+      parts: parts.map(p => ({ partNumber: p.PartNumber, size: p.Size, etag: p.ETag })),
+    });
+  } catch (error) {
+    console.error("Get multipart upload error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Body is the raw chunk; it is piped to Spaces without touching disk
+app.put('/api/uploads/multipart/:uploadId/parts/:partNumber', authenticateShop, async (req, res) => {
+  try {
+    const partNumber = parseInt(req.params.partNumber, 10);
+    if (!partNumber || partNumber < 1 || partNumber > MAX_PARTS) {
+      return res.status(400).json({ error: `partNumber must be between 1 and ${MAX_PARTS}` });
+    }
+    const contentLength = parseInt(req.headers['content-length'], 10);
+    if (!contentLength) {
+      return res.status(411).json({ error: "Content-Length header is required" });
+    }
+
+    const session = await findPendingUpload(req.params.uploadId, req.shop, res);
+    if (!session) return;
+
+    const result = await s3.uploadPart({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: session.key,
+      UploadId: session.uploadId,
+      PartNumber: partNumber,
+      Body: req,
+      ContentLength: contentLength,
+    }).promise();
+
+    // Activity keeps the session out of the storage sweep's abandoned-upload cleanup
+    await UploadSession.updateOne({ _id: session._id }, { $set: { updatedAt: new Date() } });
+    console.log(`📦 Part ${partNumber} uploaded for ${session.key}`);
+    return res.status(200).json({ status: true, partNumber, etag: result.ETag });
+  } catch (error) {
+    console.error("Upload part error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+app.post('/api/uploads/multipart/:uploadId/complete', authenticateShop, async (req, res) => {
+  try {
+    const session = await findPendingUpload(req.params.uploadId, req.shop, res);
+    if (!session) return;
+
+    const parts = await listUploadedParts(session);
+    if (parts.length === 0) {
+      return res.status(400).json({ error: "No parts have been uploaded" });
+    }
+    const uploadedSize = parts.reduce((sum, p) => sum + p.Size, 0);
+    if (session.fileSize && uploadedSize !== session.fileSize) {
+      return res.status(400).json({ error: `Upload incomplete: ${uploadedSize} of ${session.fileSize} bytes received` });
+    }
+
+    const result = await s3.completeMultipartUpload({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: session.key,
+      UploadId: session.uploadId,
+      MultipartUpload: { Parts: parts.map(p => ({ PartNumber: p.PartNumber, ETag: p.ETag })) },
+    }).promise();
+
+    session.status = 'completed';
+    session.fileSize = uploadedSize;
+    await session.save();
+    await recordStoredFile({ key: session.key, shop: req.shop, productId: session.productId, source: 'multipart', size: uploadedSize });
+    const { contentType } = await screenStoredObject(await getUploadPolicy(req.shop), {
+      shop: req.shop, key: session.key, fileName: session.fileName, size: uploadedSize,
+    });
+    await enqueueJob('storage.hashFile', { key: session.key }, { shop: req.shop });
+
+    console.log(`✅ Multipart upload completed: ${session.key}`);
+    // Same shape as uploadFileStreamToS3 results, so the frontend can add it to the variant's files list
+    return res.status(200).json({
+      status: true,
+      file: {
+        key: session.key,
+        url: result.Location,
+        name: session.fileName,
+        size: uploadedSize,
+        contentType,
+        variantId: session.variantId || null,
+      },
+    });
+  } catch (error) {
+    console.error("Complete multipart upload error:", error);
+    return sendUploadError(res, error);
+  }
+});
+
+app.delete('/api/uploads/multipart/:uploadId', authenticateShop, async (req, res) => {
+  try {
+    const session = await findPendingUpload(req.params.uploadId, req.shop, res);
+    if (!session) return;
+
+    await s3.abortMultipartUpload({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: session.key,
+      UploadId: session.uploadId,
+    }).promise();
+
+    session.status = 'aborted';
+    await session.save();
+
+    console.log(`🗑️ Multipart upload aborted: ${session.key}`);
+    return res.status(200).json({ message: "Upload aborted", status: true });
+  } catch (error) {
+    console.error("Abort multipart upload error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Direct-to-bucket Uploads - browser PUTs to a pre-signed URL, then confirms so we can attach the object
+app.post('/api/uploads/presign', authenticateShop, express.json(), async (req, res) => {
+  try {
+    const { productId, variantId, fileName, contentType, fileSize } = req.body || {};
+    if (!productId || !fileName) {
+      return res.status(400).json({ error: "productId and fileName are required" });
+    }
+    await checkUploadProduct(req.shop, productId);
+
+    // Content is checked on confirm; the declared name and size (optional here) are checked now
+    const policy = await getUploadPolicy(req.shop);
+    const size = parseInt(fileSize, 10) || 0;
+    checkFileType(policy, fileName);
+    checkFileSize(policy, fileName, size);
+    await checkStorageQuota(policy, req.shop, size);
+
+    const expiresIn = parseInt(process.env.UPLOAD_URL_EXPIRY, 10) || 15 * 60;  // seconds
+    const { key, cleanFileName } = buildFileKey(productId, fileName, { variantId });
+    const uploadUrl = s3.getSignedUrl('putObject', {
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: key,
+      ContentType: contentType || "application/octet-stream",
+      Expires: expiresIn,
+    });
+
+    // Recorded up front: if the browser uploads but never confirms, the sweeper still finds the object
+    await recordStoredFile({ key, shop: req.shop, productId, source: 'direct', contentType });
+    console.log(`🔏 Pre-signed upload URL issued for ${key}`);
+    return res.status(200).json({
+      status: true,
+      method: 'PUT',
+      uploadUrl,
+      headers: { 'Content-Type': contentType || "application/octet-stream" },
+      key,
+      fileName: cleanFileName,
+      variantId: variantId || null,
+      expiresIn,
+    });
+  } catch (error) {
+    console.error("Presign upload error:", error);
+    return sendUploadError(res, error);
+  }
+});
+
+app.post('/api/uploads/confirm', authenticateShop, express.json(), async (req, res) => {
+  try {
+    const { productId, variantId, key, append } = req.body || {};
+    if (!productId || !key) {
+      return res.status(400).json({ error: "productId and key are required" });
+    }
+
+    await checkUploadProduct(req.shop, productId);
+
+    // Only accept keys from this product's upload folder
+    const numericId = productId.split("/").pop();
+    if (!key.startsWith(UPLOADS_PREFIX) || !key.includes(`/${numericId}/`)) {
+      return res.status(400).json({ error: "Key does not belong to this product" });
+    }
+    // ...that this store was issued a pre-signed URL for (keys can be guessed; the record cannot be claimed)
+    const record = await StoredFile.findOne({ key, shop: req.shop, status: 'active' }).select('productId').lean();
+    if (!record || record.productId !== productId) {
+      return res.status(404).json({ error: "No upload of this store matches this key" });
+    }
+
+    let head;
+    try {
+      head = await s3.headObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: key }).promise();
+    } catch (err) {
+      if (err.code === 'NotFound' || err.statusCode === 404) {
+        return res.status(404).json({ error: "Uploaded object not found" });
+      }
+      throw err;
+    }
+
+    await recordStoredFile({ key, shop: req.shop, productId, source: 'direct', size: head.ContentLength || 0 });
+    const screened = await screenStoredObject(await getUploadPolicy(req.shop), {
+      shop: req.shop, key, fileName: fileNameFromKey(key), size: head.ContentLength || 0,
+    });
+
+    const file = {
+      key,
+      url: getObjectUrl(key),
+      name: fileNameFromKey(key),
+      size: head.ContentLength || 0,
+      contentType: screened.contentType,
+      variantId: variantId || null,
+    };
+    await enqueueJob('storage.hashFile', { key }, { shop: req.shop });
+
+    // Attach to the stored variant(s) if the product already exists; otherwise the frontend sends it with productData
+    const product = await DigitalProduct.findOne({ shop: req.shop, productId });
+    if (product) {
+      const targets = variantId
+        ? product.variants.filter(v => v.id === variantId)
+        : (product.fileType === "common" ? product.variants : []);
+      if (variantId && targets.length === 0) {
+        return res.status(404).json({ error: `Variant not found: ${variantId}` });
+      }
+
+      // append: add to the variant's file list (bundles); otherwise the object replaces its files
+      const replacedKeys = append ? new Set() : collectFileKeys(targets);
+      targets.forEach(v => {
+        const existing = getVariantFiles(v).filter(f => f.key !== key);
+        const files = append ? [...existing, file] : [file];
+        v.set({ ...variantFileFields(files), ...applyFileVersion(v, files, { note: req.body.note }) });
+      });
+      await product.save();
+      await syncProductFileReferences(product);
+
+      const stillUsed = collectFileKeys(product.variants);
+      const toDelete = [...replacedKeys].filter(k => !stillUsed.has(k));
+      if (toDelete.length > 0) {
+        await enqueueJob('storage.deleteFiles', { keys: toDelete }, { shop: req.shop });
+      }
+      console.log(`📎 Attached ${key} to ${targets.length} variant(s) of ${productId}`);
+    }
+
+    return res.status(200).json({ status: true, attached: !!product, file });
+  } catch (error) {
+    console.error("Confirm upload error:", error);
+    return sendUploadError(res, error);
+  }
+});
+
+// Customer Download Route - token is signed offline (see utils/downloadToken.js)
+function getSignedDownloadUrl(file) {
+  return s3.getSignedUrl('getObject', {
+    Bucket: process.env.DO_SPACES_BUCKET_NAME,
+    Key: file.key,
+    Expires: parseInt(process.env.DOWNLOAD_URL_EXPIRY, 10) || 60,  // seconds
+    ResponseContentDisposition: `attachment; filename="${file.name || path.basename(file.key)}"`,
+    ...(file.contentType ? { ResponseContentType: file.contentType } : {}),
+  });
+}
+
+function toArchiveSlug(str) {
+  return (str || '').normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s_]+/g, '-').toLowerCase();
+}
+
+// Stable archive name: "<product-name>-<variant-title>.zip"
+function getArchiveName(product, variant) {
+  const parts = [toArchiveSlug(product.name)];
+  const variantSlug = toArchiveSlug(variant.title);
+  if (variantSlug && variantSlug !== parts[0] && variant.title !== 'Default Title') parts.push(variantSlug);
+  return `${parts.filter(p => p).join('-') || 'download'}.zip`;
+}
+
+// Personalized copy of a PDF from Spaces, or null when the original should be served instead
+async function getStampedPdf(file, watermarkText) {
+  const maxBytes = parseInt(process.env.PDF_WATERMARK_MAX_BYTES, 10) || 200 * 1024 * 1024;
+  if (file.size && file.size > maxBytes) {
+    console.warn(`⚠️ PDF too large to watermark (${file.size} bytes), serving original: ${file.key}`);
+    return null;
+  }
+
+  const object = await s3.getObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: file.key }).promise();
+  if (!isPdfFile(file, object.ContentType)) return null;
+  try {
+    return await stampPdf(object.Body, watermarkText);
+  } catch (err) {
+    console.warn(`⚠️ Could not watermark ${file.key}, serving original:`, err.message);
+    return null;
+  }
+}
+
+// Streams the variant's Spaces objects into a ZIP on the response, one object at a time, nothing staged on disk.
+// When watermarkText is set, PDFs are added as stamped copies.
+async function streamFilesAsZip(res, files, archiveName, watermarkText = null) {
+  const archive = archiver('zip', { store: true });  // Files are mostly already compressed (pdf, zip, mp4)
+  archive.on('warning', err => console.warn('⚠️ ZIP warning:', err.message));
+  // Settles as soon as the archive fails (e.g. a Spaces read errored) or the client goes away,
+  // so the entry loop below never waits on an entry that will not finish
+  const failed = new Promise((resolve, reject) => {
+    archive.on('error', err => {
+      console.error('ZIP stream error:', err);
+      res.destroy(err);
+      reject(err);
+    });
+    res.on('close', () => {
+      if (!res.writableFinished) reject(new Error('Client closed the connection'));
+    });
+  });
+  failed.catch(() => {});
+
+  res.attachment(archiveName);
+  res.setHeader('Content-Type', 'application/zip');
+  archive.pipe(res);
+
+  const usedNames = new Set();
+  for (const file of files) {
+    let entryName = file.name || path.basename(file.key);
+    const ext = path.extname(entryName);
+    for (let n = 2; usedNames.has(entryName); n++) {
+      entryName = `${path.basename(file.name || file.key, ext)} (${n})${ext}`;
+    }
+    usedNames.add(entryName);
+
+    const stamped = watermarkText && isPdfFile(file) ? await getStampedPdf(file, watermarkText) : null;
+    let source = stamped;
+    if (!source) {
+      source = s3.getObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: file.key }).createReadStream();
+      source.on('error', err => archive.emit('error', err));
+    }
+    const entryDone = new Promise(resolve => archive.once('entry', resolve));
+    archive.append(source, { name: entryName });
+    try {
+      await Promise.race([entryDone, failed]);
+    } catch (err) {
+      if (typeof source.destroy === 'function') source.destroy();
+      archive.abort();
+      return;
+    }
+  }
+
+  await Promise.race([archive.finalize(), failed]).catch(() => archive.abort());
+}
+
+// Purchase details shown next to the download link (files, remaining downloads, license keys).
+// Does not use up a download.
+app.get('/api/download/:token/details', async (req, res) => {
+  let tokenData;
+  try {
+    tokenData = verifyDownloadToken(req.params.token);
+  } catch (err) {
+    return res.status(403).json({ error: err.message });
+  }
+
+  try {
+    const { productId, variantId, entitlementId } = tokenData;
+    const product = await DigitalProduct.findOne({ productId }).lean();
+    const variant = product?.variants.find(v => v.id === variantId);
+    if (!variant) return res.status(404).json({ error: "Product not found" });
+
+    let entitlement = null;
+    if (entitlementId) {
+      const result = await checkEntitlement(entitlementId, { productId, variantId });
+      if (result.denied && result.denied.code !== 'expired') {
+        return res.status(403).json({ error: result.denied.message, reason: result.denied.code });
+      }
+      entitlement = result.entitlement || await Entitlement.findById(entitlementId).lean();
+    }
+    const files = resolveBuyerFiles(variant, await getPinnedVersion(product, entitlementId));
+
+    return res.status(200).json({
+      status: true,
+      productName: product.name,
+      variantTitle: variant.title,
+      files: files.map(f => ({ name: f.name, size: f.size })),
+      downloadUrl: buildDownloadUrl(req.params.token),
+      remainingDownloads: entitlement ? entitlement.remainingDownloads : null,
+      expiresAt: entitlement ? entitlement.expiresAt : tokenData.expiresAt,
+      licenseKeys: entitlement?.licenseKeys || [],
+    });
+  } catch (error) {
+    console.error("Download details error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+app.get('/api/download/:token', async (req, res) => {
+  let tokenData;
+  try {
+    tokenData = verifyDownloadToken(req.params.token);
+  } catch (err) {
+    console.warn('⚠️ Download token rejected:', err.message);
+    return res.status(403).json({ error: err.message });
+  }
+
+  try {
+    const { productId, variantId, entitlementId, prepaid } = tokenData;
+    const product = await DigitalProduct.findOne({ productId });
+    const variant = product?.variants.find(v => v.id === variantId);
+    // Buyers of a product pinned to purchased versions keep the file version they bought
+    const files = resolveBuyerFiles(variant, await getPinnedVersion(product, entitlementId));
+    if (files.length === 0) {
+      console.warn(`⚠️ No file found for product ${productId} variant ${variantId}`);
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    // ?file=<index> picks one file of a bundle; without it a bundle returns the full list
+    let fileIndex = tokenData.fileIndex;
+    if (fileIndex === null && req.query.file !== undefined && req.query.format !== 'zip') {
+      fileIndex = parseInt(req.query.file, 10);
+    }
+    if (fileIndex !== null && !files[fileIndex]) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    // Buyer links carry an entitlement: enforce its download limit, expiry and revocation.
+    // Prepaid per-file links were already counted by the download that issued them.
+    let entitlement = null;
+    if (entitlementId) {
+      const result = prepaid
+        ? await checkEntitlement(entitlementId, { productId, variantId })
+        : await consumeEntitlement(entitlementId, { productId, variantId });
+      if (result.denied) {
+        console.warn(`⚠️ Download denied for entitlement ${entitlementId}: ${result.denied.code}`);
+        return res.status(403).json({ error: result.denied.message, reason: result.denied.code });
+      }
+      entitlement = result.entitlement;
+    }
+
+    if (!prepaid) {
+      await DigitalProduct.updateOne(
+        { _id: product._id, "variants.id": variantId },
+        { $inc: { "variants.$.download": 1 } }
+      );
+    }
+
+    // Buyer copies of PDFs are stamped with email + order number when the product opts in
+    const watermarkText = product.watermarkPdfs && entitlement ? buildWatermarkText(entitlement) : null;
+
+    // ?format=zip bundles every file of the variant into one archive
+    if (req.query.format === 'zip') {
+      console.log(`⬇️ ZIP download served for variant ${variantId}: ${files.length} files`);
+      return await streamFilesAsZip(res, files, getArchiveName(product, variant), watermarkText);
+    }
+
+    if (fileIndex === null && files.length > 1) {
+      // Per-file links back through this route, already paid for by this download (revocation and expiry still
+      // apply); each click then gets a fresh short-lived Spaces URL. BUNDLE_LINK_EXPIRY in seconds, default 24h.
+      const linkExpiry = parseInt(process.env.BUNDLE_LINK_EXPIRY, 10) || 24 * 60 * 60;
+      console.log(`⬇️ Download list served for variant ${variantId}: ${files.length} files`);
+      return res.status(200).json({
+        status: true,
+        files: files.map((f, i) => ({
+          name: f.name,
+          size: f.size,
+          url: buildDownloadUrl(createDownloadToken({ productId, variantId, entitlementId, fileIndex: i, prepaid: true, expiresIn: linkExpiry })),
+        })),
+      });
+    }
+
+    const file = files[fileIndex ?? 0];
+    if (watermarkText && isPdfFile(file)) {
+      const stamped = await getStampedPdf(file, watermarkText);
+      if (stamped) {
+        console.log(`⬇️ Watermarked PDF served for variant ${variantId}: ${file.key}`);
+        res.attachment(file.name || path.basename(file.key));
+        res.setHeader('Content-Type', 'application/pdf');
+        return res.send(stamped);
+      }
+    }
+
+    console.log(`⬇️ Download served for variant ${variantId}: ${file.key}`);
+    return res.redirect(302, getSignedDownloadUrl(file));
+  } catch (error) {
+    console.error("Download error:", error);
+    if (res.headersSent) return res.destroy(error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Shopify orders/paid Webhook - issue download entitlements per digital line item
+app.post('/api/webhooks/orders-paid', express.raw({ type: 'application/json' }), shopifyWebhook, async (req, res) => {
+  const { shop, payload: order } = req.webhook;
+  console.log(`🧾 orders/paid received for ${order.name || order.id} from ${shop}`);
+
+  try {
+    const lineItems = (order.line_items || []).filter(li => li.variant_id);
+    const variantGids = lineItems.map(li => `gid://shopify/ProductVariant/${li.variant_id}`);
+    const products = await DigitalProduct.find({ shop, "variants.id": { $in: variantGids } });
+
+    const purchasedAt = order.processed_at ? new Date(order.processed_at) : new Date();
+    const customerEmail = order.email || order.customer?.email || order.contact_email;
+
+    let issuedCount = 0;
+    let digitalCount = 0;
+    for (const li of lineItems) {
+      const variantGid = `gid://shopify/ProductVariant/${li.variant_id}`;
+      const product = products.find(p => p.variants.some(v => v.id === variantGid));
+      if (!product) continue;  // Not a digital product
+      digitalCount++;
+
+      const variant = product.variants.find(v => v.id === variantGid);
+      const result = await Entitlement.findOneAndUpdate(
+        { orderId: String(order.id), lineItemId: String(li.id) },
+        {
+          $setOnInsert: {
+            shop,
+            orderName: order.name,
+            customerEmail,
+            productId: product.productId,
+            variantId: variantGid,
+            fileVersion: getCurrentVersion(variant)?.number ?? null,
+            quantity: li.quantity || 1,
+            ...entitlementTermsFor(product, variant, purchasedAt),
+          }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      if (!result.lastErrorObject?.updatedExisting) issuedCount++;
+
+      // Software products: one license key per purchased unit
+      if (product.licenseKeysEnabled) {
+        const entitlement = result.value;
+        const keys = await assignLicenseKeys(entitlement, { pattern: resolveLicenseKeyPattern(product, variant) });
+        if (keys) {
+          console.log(`🔑 ${keys.length}/${entitlement.quantity} license keys assigned for line item ${li.id}`);
+        } else {
+          console.log(`🔑 License keys for line item ${li.id} are being assigned by another delivery of this webhook`);
+        }
+      }
+    }
+
+    console.log(`✅ ${issuedCount} entitlements issued for order ${order.name || order.id}`);
+
+    // Email the buyer their download links (once per order; later copies go through the resend route)
+    let delivery = null;
+    if (digitalCount > 0 && customerEmail) {
+      delivery = await queueOrderDelivery({ shop, order, to: customerEmail });
+    }
+    return res.status(200).json({ status: true, issued: issuedCount, delivery: delivery?._id || null });
+  } catch (error) {
+    console.error("orders/paid webhook error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Shopify Product Webhooks - keep stored products in sync with edits made in the Shopify admin
+app.post('/api/webhooks/products-update', express.raw({ type: 'application/json' }), shopifyWebhook, async (req, res) => {
+  const { shop, payload } = req.webhook;
+  try {
+    const product = await DigitalProduct.findOne({ shop, productId: toProductGid(payload) });
+    if (!product) return res.status(200).json({ status: true, skipped: true });  // Not a digital product
+
+    const oldVariants = product.variants.map(v => v.toObject());
+    const removedVariants = applyShopifyProductUpdate(product, payload);
+    await product.save();
+    await syncProductFileReferences(product);
+    console.log(`🔄 Synced ${product.productId} from Shopify (${removedVariants.length} variants removed)`);
+
+    const unusedKeys = getUnusedFileKeys(oldVariants, product.variants);
+    if (unusedKeys.length > 0) {
+      await enqueueJob('storage.deleteFiles', { keys: unusedKeys }, { shop });
+    }
+    return res.status(200).json({ status: true, removedVariants: removedVariants.length });
+  } catch (error) {
+    console.error("products/update webhook error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+app.post('/api/webhooks/products-delete', express.raw({ type: 'application/json' }), shopifyWebhook, async (req, res) => {
+  const { shop, payload } = req.webhook;
+  try {
+    const product = await DigitalProduct.findOneAndDelete({ shop, productId: toProductGid(payload) });
+    if (!product) return res.status(200).json({ status: true, skipped: true });
+
+    await releaseProductFileReferences(product.productId);
+    console.log(`🗑️ Product ${product.productId} deleted in Shopify - removed from Mongo`);
+    const fileKeys = [...collectFileKeys(product.variants)];
+    if (fileKeys.length > 0) {
+      await enqueueJob('storage.deleteFiles', { keys: fileKeys }, { shop });
+    }
+    return res.status(200).json({ status: true });
+  } catch (error) {
+    console.error("products/delete webhook error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// App Uninstall + Mandatory Privacy (GDPR) Webhooks
+app.post('/api/webhooks/app-uninstalled', express.raw({ type: 'application/json' }), shopifyWebhook, async (req, res) => {
+  const { shop } = req.webhook;
+  try {
+    // The access token is dead once the app is uninstalled
+    await ShopifySession.deleteOne({ shop });
+    console.log(`🔌 App uninstalled from ${shop} - session revoked`);
+
+    await scheduleShopDeletion(shop, { reason: 'app_uninstalled' });
+    return res.status(200).json({ status: true });
+  } catch (error) {
+    console.error("app/uninstalled webhook error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+app.post('/api/webhooks/customers-data-request', express.raw({ type: 'application/json' }), shopifyWebhook, async (req, res) => {
+  const { shop, topic, payload } = req.webhook;
+  try {
+    const customer = { email: payload.customer?.email, orderIds: payload.orders_requested || [] };
+    const exported = await exportCustomerData(shop, customer);
+    await GdprRequest.create({
+      shop,
+      topic: topic || 'customers/data_request',
+      customerEmail: customer.email,
+      orderIds: customer.orderIds.map(String),
+      dataRequestId: payload.data_request?.id ? String(payload.data_request.id) : undefined,
+      export: exported,
+    });
+
+    console.log(`📤 Customer data request for ${shop}: ${exported.entitlements.length} entitlements exported`);
+    return res.status(200).json({ status: true });
+  } catch (error) {
+    console.error("customers/data_request webhook error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+app.post('/api/webhooks/customers-redact', express.raw({ type: 'application/json' }), shopifyWebhook, async (req, res) => {
+  const { shop, topic, payload } = req.webhook;
+  try {
+    const orderIds = (payload.orders_to_redact || []).map(String);
+    const summary = await redactCustomerData(shop, { email: payload.customer?.email, orderIds });
+    // No email stored here: the point of the request is to forget it
+    await GdprRequest.create({ shop, topic: topic || 'customers/redact', orderIds, summary });
+
+    console.log(`🧽 Customer data redacted for ${shop}:`, summary);
+    return res.status(200).json({ status: true });
+  } catch (error) {
+    console.error("customers/redact webhook error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+app.post('/api/webhooks/shop-redact', express.raw({ type: 'application/json' }), shopifyWebhook, async (req, res) => {
+  const { shop } = req.webhook;
+  try {
+    // Shopify sends this 48h after uninstall; purge on the next sweep. Not logged as a GdprRequest:
+    // the purge removes every record of the store, and the ShopDeletion row is the trail.
+    await scheduleShopDeletion(shop, { reason: 'shop_redact', delayMs: 0 });
+    console.log(`🗑️ shop/redact received for ${shop}, data purge scheduled`);
+    return res.status(200).json({ status: true });
+  } catch (error) {
+    console.error("shop/redact webhook error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Customer data exports for the merchant to hand over
+app.get('/api/data-requests', authenticateShop, async (req, res) => {
+  try {
+    const requests = await GdprRequest.find({ shop: req.shop, topic: 'customers/data_request' }).sort({ createdAt: -1 }).limit(100).lean();
+    return res.status(200).json({ status: true, requests });
+  } catch (error) {
+    console.error("List data requests error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Background Job Status
+app.get('/api/jobs/:id', authenticateShop, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Job not found" });
+    const job = await Job.findOne({ _id: req.params.id, shop: req.shop }).lean();
+    if (!job) return res.status(404).json({ error: "Job not found" });
+
+    return res.status(200).json({
+      status: true,
+      job: {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextRunAt: job.status === 'queued' ? job.runAt : null,
+        lastError: job.lastError,
+        result: job.result,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get job error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Revoke a buyer's download access (e.g. after a refund)
+app.post('/api/entitlements/:id/revoke', authenticateShop, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid entitlement id" });
+    const entitlement = await Entitlement.findOneAndUpdate({ _id: req.params.id, shop: req.shop }, { revokedAt: new Date() }, { new: true });
+    if (!entitlement) return res.status(404).json({ error: "Entitlement not found" });
+
+    console.log(`🚫 Entitlement ${entitlement._id} revoked for order ${entitlement.orderName || entitlement.orderId}`);
+    return res.status(200).json({ message: "Download access revoked", status: true });
+  } catch (error) {
+    console.error("Revoke entitlement error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Email Delivery Log - what was sent to buyers, with resend (fresh download links)
+app.get('/api/email-deliveries', authenticateShop, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { shop: req.shop };
+    if (req.query.orderId) filter.orderId = String(req.query.orderId);
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.to) filter.to = String(req.query.to).toLowerCase();
+
+    const [deliveries, total] = await Promise.all([
+      EmailDelivery.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      EmailDelivery.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      status: true,
+      deliveries,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("List email deliveries error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Body: { to?: "other@example.com" } - defaults to the original recipient
+app.post('/api/email-deliveries/:id/resend', authenticateShop, express.json(), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Email delivery not found" });
+    const original = await EmailDelivery.findOne({ _id: req.params.id, shop: req.shop });
+    if (!original) return res.status(404).json({ error: "Email delivery not found" });
+
+    const to = req.body?.to;
+    if (to !== undefined && (typeof to !== 'string' || !EMAIL_REGEX.test(to.trim()))) {
+      return res.status(400).json({ error: "to must be an email address" });
+    }
+    if (!isMailConfigured()) return res.status(503).json({ error: "Email sending is not configured" });
+
+    const delivery = await resendDelivery(original, { to: to?.trim() });
+    console.log(`🔁 Delivery email for order ${original.orderName || original.orderId} queued again to ${delivery.to}`);
+    return res.status(200).json({ message: "Email queued", status: true, delivery, job: delivery.jobId });
+  } catch (error) {
+    console.error("Resend email delivery error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Operator-only routes: the bucket is shared by every store, so these are not behind a shop session
+function requireAdminToken(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) return res.status(404).json({ error: "Not found" });
+  const valid = scheme === 'Bearer' && token && token.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+  if (!valid) return res.status(401).json({ error: "Invalid admin token" });
+  next();
+}
+
+// Dry run of the orphan sweeper: what would be deleted, without deleting anything
+app.get('/api/admin/storage/orphans', requireAdminToken, async (req, res) => {
+  try {
+    const report = await sweepOrphanedFiles({ dryRun: true });
+    return res.status(200).json({ status: true, ...report });
+  } catch (error) {
+    console.error("Orphan report error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Shopify OAuth Install Flow - creates or refreshes the store's ShopifySession
+app.get('/api/auth', (req, res) => {
+  const shop = req.query.shop;
+  if (!isValidShopDomain(shop)) {
+    return res.status(400).json({ error: "Missing or invalid shop parameter" });
+  }
+  console.log(`🔐 Starting OAuth install for ${shop}`);
+  return res.redirect(302, buildInstallUrl(shop, createOAuthState(shop)));
+});
+
+app.get('/api/auth/callback', async (req, res) => {
+  const { shop, code, state } = req.query;
+  if (!isValidShopDomain(shop) || !code) {
+    return res.status(400).json({ error: "Missing or invalid shop/code parameter" });
+  }
+  if (!verifyOAuthQueryHmac(req.query)) {
+    console.warn(`⚠️ OAuth callback with invalid HMAC for ${shop}`);
+    return res.status(401).json({ error: "Invalid OAuth signature" });
+  }
+  if (!verifyOAuthState(shop, state)) {
+    return res.status(401).json({ error: "Invalid or expired OAuth state" });
+  }
+
+  try {
+    const { accessToken, scope } = await exchangeCodeForToken(shop, code);
+    await ShopifySession.findOneAndUpdate(
+      { shop },
+      { shop, accessToken, scope },
+      { upsert: true, new: true }
+    );
+    console.log(`✅ Shopify session saved for ${shop}`);
+    await cancelShopDeletion(shop);
+
+    return res.redirect(302, `https://${shop}/admin/apps/${process.env.SHOPIFY_API_KEY}`);
+  } catch (error) {
+    console.error("OAuth callback error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+});
+
+// Test Route
+app.get('/', (req, res) => {
+  res.send('Digital Product Uploader API is running on Node.js!');
+});
+
+// Background job worker (Shopify sync, storage cleanup)
+registerJobHandlers();
+startJobWorker();
+
+// Scheduled shop data deletions (uninstall grace period / shop redact)
+const SHOP_DELETION_INTERVAL_MS = 15 * 60 * 1000;
+setInterval(() => {
+  processDueShopDeletions().catch(err => console.error('Shop deletion sweep error:', err));
+}, SHOP_DELETION_INTERVAL_MS).unref();
+
+// Orphaned Spaces objects and stale temp uploads; deleting is opt-in, the admin route above is always a dry run
+if (process.env.STORAGE_SWEEP_ENABLED === 'true') {
+  const STORAGE_SWEEP_INTERVAL_MS = (parseFloat(process.env.STORAGE_SWEEP_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+  setInterval(() => {
+    sweepOrphanedFiles().catch(err => console.error('Storage sweep error:', err));
+  }, STORAGE_SWEEP_INTERVAL_MS).unref();
+}
+
 // Start Server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
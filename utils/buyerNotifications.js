@@ -0,0 +1,90 @@
+// utils/buyerNotifications.js
+const DigitalProduct = require('../models/digitalproduct.model');
+const Entitlement = require('../models/entitlement.model');
+const { enqueueJob } = require('./jobQueue');
+const { sendMail } = require('./mailer');
+const { getDenialReason } = require('./downloadPolicy');
+const { createDownloadToken, buildDownloadUrl } = require('./downloadToken');
+const { getCurrentVersion } = require('./fileVersions');
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Variants of an updated product whose current files changed compared with the previous save
+function getReplacedVariants(previousVariants = [], savedVariants = []) {
+  return savedVariants.filter(v => {
+    const before = previousVariants.find(pv => pv.id === v.id);
+    const previous = before ? getCurrentVersion(before) : null;
+    const current = getCurrentVersion(v);
+    return previous && current && previous.number !== current.number;
+  });
+}
+
+// payload: { productId, variantId, version } - one email job per buyer who can still download the variant
+async function notifyFileUpdate({ productId, variantId, version }, job) {
+  const entitlements = await Entitlement.find({
+    shop: job.shop,
+    productId,
+    variantId,
+    customerEmail: { $nin: [null, ''] },
+  }).sort({ createdAt: -1 }).lean();
+
+  const now = new Date();
+  const seen = new Set();
+  const queued = [];
+  let skipped = 0;
+  for (const entitlement of entitlements) {
+    // One email per address (their newest purchase), none for revoked, expired or used-up access
+    if (seen.has(entitlement.customerEmail) || getDenialReason(entitlement, now)) {
+      skipped++;
+      continue;
+    }
+    seen.add(entitlement.customerEmail);
+    const queuedJob = await enqueueJob('email.fileUpdated', { entitlementId: String(entitlement._id), version }, { shop: job.shop });
+    queued.push(queuedJob._id);
+  }
+
+  console.log(`📣 Queued ${queued.length} update email(s) for ${variantId} v${version}`);
+  return { queued: queued.length, skipped, jobs: queued };
+}
+
+function buildFileUpdateEmail({ product, variant, version, downloadUrl }) {
+  const name = variant.title && variant.title !== 'Default Title' ? `${product.name} (${variant.title})` : product.name;
+  const subject = `Updated files available: ${name}`;
+  const text = [
+    `A new version of ${name} is available.`,
+    version.note ? `\nWhat's new: ${version.note}` : null,
+    `\nDownload it here: ${downloadUrl}`,
+    `\nThis link expires in 72 hours.`,
+  ].filter(line => line).join('\n');
+  const html = `<p>A new version of <strong>${escapeHtml(name)}</strong> is available.</p>`
+    + (version.note ? `<p>What's new: ${escapeHtml(version.note)}</p>` : '')
+    + `<p><a href="${escapeHtml(downloadUrl)}">Download the updated files</a></p>`
+    + `<p>This link expires in 72 hours.</p>`;
+  return { subject, text, html };
+}
+
+// payload: { entitlementId, version }
+async function sendFileUpdateEmail({ entitlementId, version }, job) {
+  const entitlement = await Entitlement.findOne({ _id: entitlementId, shop: job.shop });
+  if (!entitlement) return { skipped: true, reason: "Entitlement not found" };
+  if (entitlement.notifiedVersion >= version) return { skipped: true, reason: "Already notified" };
+
+  const product = await DigitalProduct.findOne({ productId: entitlement.productId, shop: job.shop }).lean();
+  const variant = product?.variants.find(v => v.id === entitlement.variantId);
+  const current = variant ? getCurrentVersion(variant) : null;
+  if (!current || current.number !== version) return { skipped: true, reason: "Version is no longer current" };
+  // Pinned buyers keep the version they bought; the product may have switched policy since this was queued
+  if (product.buyerVersionPolicy === 'purchased') return { skipped: true, reason: "Buyers keep their purchased version" };
+
+  const token = createDownloadToken({ productId: entitlement.productId, variantId: entitlement.variantId, entitlementId: entitlement._id });
+  const email = buildFileUpdateEmail({ product, variant, version: current, downloadUrl: buildDownloadUrl(token) });
+  const { messageId } = await sendMail({ to: entitlement.customerEmail, ...email });
+
+  entitlement.notifiedVersion = version;
+  await entitlement.save();
+  return { to: entitlement.customerEmail, messageId };
+}
+
+module.exports = { getReplacedVariants, notifyFileUpdate, sendFileUpdateEmail };
@@ -0,0 +1,84 @@
+// utils/downloadPolicy.js
+const Entitlement = require('../models/entitlement.model');
+
+function toLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) || n < 0 ? null : n;
+}
+
+// Variant override > product setting > app default (env). 0 means unlimited / never expires.
+function resolveDownloadPolicy(product, variant) {
+  const downloadLimit = toLimit(variant?.downloadLimit) ?? toLimit(product?.downloadLimit) ?? toLimit(process.env.DEFAULT_DOWNLOAD_LIMIT) ?? 5;
+  const accessDays = toLimit(variant?.accessDays) ?? toLimit(product?.accessDays) ?? toLimit(process.env.DEFAULT_ACCESS_DAYS) ?? 30;
+  return { downloadLimit, accessDays };
+}
+
+// Initial entitlement values for a purchase made now
+function entitlementTermsFor(product, variant, purchasedAt = new Date()) {
+  const { downloadLimit, accessDays } = resolveDownloadPolicy(product, variant);
+  return {
+    remainingDownloads: downloadLimit === 0 ? null : downloadLimit,
+    expiresAt: accessDays === 0 ? null : new Date(purchasedAt.getTime() + accessDays * 24 * 60 * 60 * 1000),
+  };
+}
+
+// Returns null if the entitlement may be used, otherwise a { code, message } denial reason.
+// ignoreLimit is for links whose download was already counted.
+function getDenialReason(entitlement, now = new Date(), { ignoreLimit = false } = {}) {
+  if (!entitlement) return { code: "not_found", message: "No download access found for this link" };
+  if (entitlement.revokedAt) return { code: "revoked", message: "Download access has been revoked" };
+  if (entitlement.expiresAt && entitlement.expiresAt <= now) return { code: "expired", message: "Download access has expired" };
+  if (!ignoreLimit && entitlement.remainingDownloads !== null && entitlement.remainingDownloads <= 0) {
+    return { code: "limit_reached", message: "Download limit reached" };
+  }
+  return null;
+}
+
+function matchesPurchase(entitlement, { productId, variantId } = {}) {
+  return (!productId || entitlement.productId === productId) && (!variantId || entitlement.variantId === variantId);
+}
+
+// Checks access without using up a download (revocation and expiry still apply)
+async function checkEntitlement(entitlementId, purchase) {
+  const entitlement = await Entitlement.findById(entitlementId);
+  const denied = getDenialReason(entitlement, new Date(), { ignoreLimit: true });
+  if (denied) return { denied };
+  if (!matchesPurchase(entitlement, purchase)) {
+    return { denied: { code: "mismatch", message: "Download link does not match this purchase" } };
+  }
+  return { entitlement };
+}
+
+// Atomically uses up one download. Returns { entitlement } on success or { denied } with the reason.
+async function consumeEntitlement(entitlementId, purchase) {
+  const entitlement = await Entitlement.findById(entitlementId);
+  const denied = getDenialReason(entitlement);
+  if (denied) return { denied };
+  if (!matchesPurchase(entitlement, purchase)) {
+    return { denied: { code: "mismatch", message: "Download link does not match this purchase" } };
+  }
+
+  const now = new Date();
+  const filter = {
+    _id: entitlement._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
+  const update = { $inc: { downloadCount: 1 } };
+  if (entitlement.remainingDownloads === null) {
+    filter.remainingDownloads = null;
+  } else {
+    filter.remainingDownloads = { $gt: 0 };
+    update.$inc.remainingDownloads = -1;
+  }
+
+  const updated = await Entitlement.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    // Lost a race with another download or a revoke - report the current state
+    return { denied: getDenialReason(await Entitlement.findById(entitlementId)) || { code: "conflict", message: "Download could not be authorized, please retry" } };
+  }
+  return { entitlement: updated };
+}
+
+module.exports = { toLimit, resolveDownloadPolicy, entitlementTermsFor, getDenialReason, checkEntitlement, consumeEntitlement };
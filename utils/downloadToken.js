@@ -0,0 +1,71 @@
+// utils/downloadToken.js
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 60 * 60 * 72; // 72 hours
+
+function getSecret() {
+  const secret = process.env.DOWNLOAD_TOKEN_SECRET;
+  if (!secret) throw new Error("DOWNLOAD_TOKEN_SECRET is not configured");
+  return secret;
+}
+
+function sign(payloadStr) {
+  return crypto.createHmac('sha256', getSecret()).update(payloadStr).digest('base64url');
+}
+
+// Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 of the encoded payload)
+// entitlementId is optional: when present the download is checked against that buyer's limits.
+// fileIndex + prepaid are used for per-file links handed out by an already-counted download.
+function createDownloadToken({ productId, variantId, entitlementId, fileIndex, prepaid = false, expiresIn = DEFAULT_TTL_SECONDS }) {
+  if (!productId || !variantId) throw new Error("productId and variantId are required to create a download token");
+
+  const payload = {
+    p: productId,
+    v: variantId,
+    exp: Math.floor(Date.now() / 1000) + expiresIn,
+  };
+  if (entitlementId) payload.e = String(entitlementId);
+  if (Number.isInteger(fileIndex)) payload.f = fileIndex;
+  if (prepaid) payload.pp = 1;
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+// Returns { productId, variantId, entitlementId, fileIndex, prepaid, expiresAt } or throws with a reason the route can surface
+function verifyDownloadToken(token) {
+  const [encoded, signature] = (token || '').split('.');
+  if (!encoded || !signature) throw new Error("Malformed download token");
+
+  const expected = Buffer.from(sign(encoded));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error("Invalid download token signature");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error("Malformed download token");
+  }
+
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+    throw new Error("Download link has expired");
+  }
+
+  return {
+    productId: payload.p,
+    variantId: payload.v,
+    entitlementId: payload.e || null,
+    fileIndex: Number.isInteger(payload.f) ? payload.f : null,
+    prepaid: payload.pp === 1,
+    expiresAt: new Date(payload.exp * 1000),
+  };
+}
+
+function buildDownloadUrl(token) {
+  const baseUrl = (process.env.APP_URL || '').replace(/\/$/, '');
+  return `${baseUrl}/api/download/${token}`;
+}
+
+module.exports = { createDownloadToken, verifyDownloadToken, buildDownloadUrl };
@@ -0,0 +1,120 @@
+// utils/emailTemplates.js
+const Handlebars = require('handlebars');
+const EmailTemplate = require('../models/emailtemplate.model');
+
+const TEMPLATE_PARTS = ['subject', 'html', 'text'];
+const MAX_TEMPLATE_LENGTH = 100 * 1024;
+
+const hbs = Handlebars.create();
+
+// {{formatBytes size}} -> "2.4 MB"
+hbs.registerHelper('formatBytes', bytes => {
+  if (typeof bytes !== 'number' || bytes < 0) return '';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+});
+
+// {{formatDate expiresAt}} -> "March 4, 2026"
+hbs.registerHelper('formatDate', date => {
+  const parsed = date ? new Date(date) : null;
+  if (!parsed || Number.isNaN(parsed.getTime())) return '';
+  return parsed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+});
+
+const DEFAULT_TEMPLATES = {
+  order_delivery: {
+    subject: 'Your downloads for order {{order.name}}',
+    html: `<p>Hi {{#if order.customerName}}{{order.customerName}}{{else}}there{{/if}},</p>
+<p>Thanks for your order {{order.name}}. Your files are ready to download:</p>
+{{#each items}}
+<h3>{{productName}}{{#if variantTitle}} - {{variantTitle}}{{/if}}</h3>
+<ul>
+{{#each files}}  <li>{{name}}{{#if size}} ({{formatBytes size}}){{/if}}</li>
+{{/each}}</ul>
+{{#if licenseKeys.length}}<p>License key{{#if licenseKeys.[1]}}s{{/if}}: {{#each licenseKeys}}<code>{{this}}</code> {{/each}}</p>{{/if}}
+<p><a href="{{downloadUrl}}">Download {{productName}}</a></p>
+{{#if expiresAt}}<p>This link expires on {{formatDate expiresAt}}.</p>{{/if}}
+{{/each}}`,
+    text: `Hi {{#if order.customerName}}{{order.customerName}}{{else}}there{{/if}},
+
+Thanks for your order {{order.name}}. Your files are ready to download:
+{{#each items}}
+
+{{productName}}{{#if variantTitle}} - {{variantTitle}}{{/if}}
+{{#each files}}  - {{name}}{{#if size}} ({{formatBytes size}}){{/if}}
+{{/each}}
+{{#if licenseKeys.length}}License key(s): {{#each licenseKeys}}{{this}} {{/each}}
+{{/if}}
+Download: {{downloadUrl}}
+{{#if expiresAt}}This link expires on {{formatDate expiresAt}}.
+{{/if}}
+{{/each}}`,
+  },
+};
+
+function isTemplateType(type) {
+  return Object.prototype.hasOwnProperty.call(DEFAULT_TEMPLATES, type);
+}
+
+// Subject and plain text are not HTML, so only the html part escapes values
+function compilePart(part, source) {
+  return hbs.compile(source, { noEscape: part !== 'html', strict: false });
+}
+
+// Returns [{ path, message }] for parts that are not strings or do not parse; null/undefined parts are skipped
+function validateTemplateParts(parts) {
+  const errors = [];
+  for (const part of TEMPLATE_PARTS) {
+    const source = parts[part];
+    if (source === undefined || source === null) continue;
+    if (typeof source !== 'string') {
+      errors.push({ path: part, message: 'must be a string' });
+    } else if (source.length > MAX_TEMPLATE_LENGTH) {
+      errors.push({ path: part, message: `must be at most ${MAX_TEMPLATE_LENGTH} characters` });
+    } else {
+      try {
+        hbs.precompile(source);
+      } catch (err) {
+        // Parse errors span several lines (source excerpt + caret); keep the location and the reason
+        const lines = err.message.split('\n');
+        errors.push({ path: part, message: lines.length > 1 ? `${lines[0]} ${lines[lines.length - 1]}` : lines[0] });
+      }
+    }
+  }
+  return errors;
+}
+
+// The store's template layered over the default: { type, enabled, subject, html, text, customised: [...parts] }
+async function getEmailTemplate(shop, type) {
+  const saved = await EmailTemplate.findOne({ shop, type }).lean();
+  const template = { type, enabled: saved?.enabled ?? true, customised: [] };
+  for (const part of TEMPLATE_PARTS) {
+    if (saved?.[part]) template.customised.push(part);
+    template[part] = saved?.[part] || DEFAULT_TEMPLATES[type][part];
+  }
+  return template;
+}
+
+function renderEmail(template, context) {
+  const rendered = {};
+  for (const part of TEMPLATE_PARTS) {
+    rendered[part] = compilePart(part, template[part])(context);
+  }
+  rendered.subject = rendered.subject.replace(/\s+/g, ' ').trim();
+  return rendered;
+}
+
+module.exports = {
+  TEMPLATE_PARTS,
+  DEFAULT_TEMPLATES,
+  isTemplateType,
+  validateTemplateParts,
+  getEmailTemplate,
+  renderEmail,
+};
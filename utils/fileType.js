@@ -0,0 +1,129 @@
+// utils/fileType.js
+const fs = require('fs');
+const path = require('path');
+const { s3 } = require('./s3');
+
+// Enough bytes for every signature below (tar's "ustar" sits at offset 257)
+const HEAD_BYTES = 4100;
+
+// [mime, offset, bytes] - first match wins, so longer / more specific signatures come first
+const SIGNATURES = [
+  ['application/pdf', 0, '%PDF-'],
+  ['image/png', 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+  ['image/jpeg', 0, [0xFF, 0xD8, 0xFF]],
+  ['image/gif', 0, 'GIF8'],
+  ['image/bmp', 0, 'BM'],
+  ['image/tiff', 0, [0x49, 0x49, 0x2A, 0x00]],
+  ['image/tiff', 0, [0x4D, 0x4D, 0x00, 0x2A]],
+  ['image/vnd.adobe.photoshop', 0, '8BPS'],
+  ['application/zip', 0, [0x50, 0x4B, 0x03, 0x04]],
+  ['application/zip', 0, [0x50, 0x4B, 0x05, 0x06]],  // empty archive
+  ['application/vnd.rar', 0, 'Rar!\x1A\x07'],
+  ['application/x-7z-compressed', 0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]],
+  ['application/gzip', 0, [0x1F, 0x8B]],
+  ['application/x-tar', 257, 'ustar'],
+  ['audio/flac', 0, 'fLaC'],
+  ['audio/ogg', 0, 'OggS'],
+  ['audio/mpeg', 0, 'ID3'],
+  ['video/x-matroska', 0, [0x1A, 0x45, 0xDF, 0xA3]],
+  ['application/x-msdownload', 0, 'MZ'],
+  ['application/x-executable', 0, [0x7F, 0x45, 0x4C, 0x46]],
+  ['font/woff', 0, 'wOFF'],
+  ['font/woff2', 0, 'wOF2'],
+  ['font/otf', 0, 'OTTO'],
+  ['font/ttf', 0, [0x00, 0x01, 0x00, 0x00, 0x00]],
+  ['application/x-sqlite3', 0, 'SQLite format 3\x00'],
+];
+
+// Container formats share a signature; the extension picks the specific type inside the container
+const CONTAINER_TYPES = {
+  'application/zip': {
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    epub: 'application/epub+zip',
+    jar: 'application/java-archive',
+    apk: 'application/vnd.android.package-archive',
+  },
+  'text/plain': {
+    csv: 'text/csv',
+    json: 'application/json',
+    md: 'text/markdown',
+    html: 'text/html',
+    htm: 'text/html',
+    xml: 'application/xml',
+    svg: 'image/svg+xml',
+  },
+};
+
+function matchesAt(buffer, offset, signature) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+function sniffRiff(buffer) {
+  if (!matchesAt(buffer, 0, 'RIFF')) return null;
+  const format = buffer.subarray(8, 12).toString('latin1');
+  return { WAVE: 'audio/wav', AVI: 'video/x-msvideo', WEBP: 'image/webp' }[format.trim()] || null;
+}
+
+// ISO base media (mp4, m4a, mov): "ftyp" box at offset 4, brand right after it
+function sniffFtyp(buffer) {
+  if (!matchesAt(buffer, 4, 'ftyp')) return null;
+  const brand = buffer.subarray(8, 12).toString('latin1');
+  if (brand === 'qt  ') return 'video/quicktime';
+  if (brand.startsWith('M4A')) return 'audio/mp4';
+  return 'video/mp4';
+}
+
+// MP3 without an ID3 tag starts straight with a frame sync
+function isMpegFrame(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0;
+}
+
+// No NUL bytes and valid UTF-8 (allowing a sequence cut off at the end of the sample)
+function looksLikeText(buffer) {
+  if (buffer.length === 0 || buffer.includes(0x00)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, buffer.length - 3));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function getExtension(fileName) {
+  return path.extname(fileName || '').slice(1).toLowerCase();
+}
+
+// MIME type from the file's leading bytes; never from what the browser claimed
+function sniffMimeType(buffer, fileName) {
+  let mime = sniffRiff(buffer) || sniffFtyp(buffer);
+  if (!mime) mime = (SIGNATURES.find(([, offset, signature]) => matchesAt(buffer, offset, signature)) || [])[0];
+  if (!mime && isMpegFrame(buffer)) mime = 'audio/mpeg';
+  if (!mime) mime = looksLikeText(buffer) ? 'text/plain' : 'application/octet-stream';
+
+  return CONTAINER_TYPES[mime]?.[getExtension(fileName)] || mime;
+}
+
+function readFileHead(filepath) {
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, HEAD_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+async function readObjectHead(key) {
+  const object = await s3.getObject({
+    Bucket: process.env.DO_SPACES_BUCKET_NAME,
+    Key: key,
+    Range: `bytes=0-${HEAD_BYTES - 1}`,
+  }).promise();
+  return object.Body;
+}
+
+module.exports = { getExtension, sniffMimeType, readFileHead, readObjectHead };
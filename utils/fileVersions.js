@@ -0,0 +1,66 @@
+// utils/fileVersions.js
+const Entitlement = require('../models/entitlement.model');
+const { toFileEntry, getVariantFiles } = require('./variantFiles');
+
+const DEFAULT_VERSION_LIMIT = 10;
+
+function getVersionLimit() {
+  return parseInt(process.env.FILE_VERSION_LIMIT, 10) || DEFAULT_VERSION_LIMIT;
+}
+
+function sameFiles(a, b) {
+  return a.length === b.length && a.every((file, i) => file.key === b[i].key);
+}
+
+// Version list of a variant. Variants saved before versioning get their current files as version 1.
+function getVersions(variant) {
+  if (variant?.versions?.length) return variant.versions;
+  const files = getVariantFiles(variant);
+  return files.length ? [{ number: 1, files, note: null, uploadedAt: null }] : [];
+}
+
+function getCurrentVersion(variant) {
+  const versions = getVersions(variant);
+  return versions.find(v => v.number === variant.currentVersion) || versions[versions.length - 1] || null;
+}
+
+// { versions, currentVersion } for a variant whose files become `files`. A changed file list is recorded as a
+// new version; the oldest non-current versions are dropped past FILE_VERSION_LIMIT (their objects then count as unused).
+function applyFileVersion(oldVariant, files, { note } = {}) {
+  const previous = oldVariant?.toObject ? oldVariant.toObject() : oldVariant;
+  const list = (files || []).map(toFileEntry).filter(f => f);
+  const versions = getVersions(previous).map(v => ({ ...v, files: v.files.map(toFileEntry).filter(f => f) }));
+  const current = previous ? getCurrentVersion(previous) : null;
+
+  if (list.length === 0) return { versions, currentVersion: current?.number ?? null };
+  if (current && sameFiles(current.files, list)) {
+    return { versions, currentVersion: current.number };
+  }
+
+  const number = versions.reduce((max, v) => Math.max(max, v.number), 0) + 1;
+  versions.push({ number, files: list, note: note || null, uploadedAt: new Date() });
+  while (versions.length > getVersionLimit()) {
+    const oldest = versions.findIndex(v => v.number !== number);
+    versions.splice(oldest, 1);
+  }
+  return { versions, currentVersion: number };
+}
+
+// Pin a product's buyers to the version they purchased, or serve the current one (default)
+async function getPinnedVersion(product, entitlementId) {
+  if (!entitlementId || product?.buyerVersionPolicy !== 'purchased') return null;
+  const entitlement = await Entitlement.findById(entitlementId).select('fileVersion').lean();
+  return entitlement?.fileVersion ?? null;
+}
+
+// Files a buyer gets: the pinned version while it is still kept, otherwise the variant's current files
+function resolveBuyerFiles(variant, pinnedVersion) {
+  if (pinnedVersion) {
+    const version = getVersions(variant).find(v => v.number === pinnedVersion);
+    const files = (version?.files || []).map(toFileEntry).filter(f => f);
+    if (files.length > 0) return files;
+  }
+  return getVariantFiles(variant);
+}
+
+module.exports = { getVersions, getCurrentVersion, applyFileVersion, getPinnedVersion, resolveBuyerFiles };
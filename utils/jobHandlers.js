@@ -0,0 +1,90 @@
+// utils/jobHandlers.js
+const ShopifySession = require('../models/shopifysession.model');
+const { registerJobHandler } = require('./jobQueue');
+const { s3 } = require('./s3');
+const { isFileReferenced, isFileReusedSince, forgetStoredFiles, hashStoredObject, saveFileHash } = require('./storedFiles');
+const { notifyFileUpdate, sendFileUpdateEmail } = require('./buyerNotifications');
+const { sendOrderDelivery } = require('./orderDelivery');
+const { fillOwedLicenseKeys } = require('./licenseKeys');
+const { updateVariantsShippingInShopify, updateProductTagsInShopify } = require('./shopify');
+
+function failWithResult(message, result) {
+  const err = new Error(message);
+  err.result = result;
+  return err;
+}
+
+// payload: { keys: [...] } - objects no longer referenced by the product that queued them
+async function deleteFiles({ keys = [] }, job) {
+  const deleted = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const key of keys) {
+    // Re-check at run time: the key may have been attached again, or reused by an identical upload, since the job was queued
+    if (await isFileReferenced(key) || await isFileReusedSince(key, job.createdAt)) {
+      skipped.push(key);
+      continue;
+    }
+    try {
+      await s3.deleteObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: key }).promise();
+      console.log("Old file deleted from DO:", key);
+      deleted.push(key);
+    } catch (err) {
+      failed.push({ key, error: err.message || String(err) });
+    }
+  }
+
+  await forgetStoredFiles(deleted);
+  const result = { deleted, skipped, failed };
+  if (failed.length > 0) throw failWithResult(`${failed.length} file(s) could not be deleted`, result);
+  return result;
+}
+
+// payload: { key } - content hash for objects uploaded straight to Spaces (multipart / pre-signed)
+async function hashFile({ key }) {
+  const sha256 = await hashStoredObject(key);
+  await saveFileHash(key, sha256);
+  return { key, sha256 };
+}
+
+// payload: { productId, digitalVariantIds, revertVariantIds, tags } - brings Shopify in line with the saved product
+async function syncProductToShopify({ productId, digitalVariantIds = [], revertVariantIds = [], tags = [] }, job) {
+  const shopSession = await ShopifySession.findOne({ shop: job.shop });
+  if (!shopSession) {
+    console.warn(`⚠️ No Shopify session found for ${job.shop} - skipping Shopify updates`);
+    return { skipped: true, reason: "App is not installed" };
+  }
+
+  const revertResult = await updateVariantsShippingInShopify(shopSession.shop, shopSession.accessToken, productId, revertVariantIds, true);
+  const digitalResult = await updateVariantsShippingInShopify(shopSession.shop, shopSession.accessToken, productId, digitalVariantIds, false);
+  const tagResult = tags.length > 0
+    ? await updateProductTagsInShopify(shopSession.shop, shopSession.accessToken, productId, tags)
+    : { status: true };
+
+  const result = { revertedVariants: revertResult.results, digitalVariants: digitalResult.results, tags: tagResult };
+  if (!revertResult.status || !digitalResult.status || !tagResult.status) {
+    throw failWithResult(`Shopify sync incomplete for ${productId}`, result);
+  }
+  return result;
+}
+
+// payload: { productId, variantId } - queued when keys are added to a variant's pool
+async function fillLicenseKeys({ productId, variantId }, job) {
+  const result = await fillOwedLicenseKeys(job.shop, productId, variantId);
+  // A webhook delivery held some line items; retry so they do not wait for the next import
+  if (result.busy > 0) throw failWithResult(`${result.busy} line item(s) were busy assigning license keys`, result);
+  return result;
+}
+
+function registerJobHandlers() {
+  registerJobHandler('storage.deleteFiles', deleteFiles);
+  registerJobHandler('storage.hashFile', hashFile);
+  registerJobHandler('shopify.syncProduct', syncProductToShopify);
+  registerJobHandler('email.notifyFileUpdate', notifyFileUpdate);
+  registerJobHandler('email.fileUpdated', sendFileUpdateEmail);
+  registerJobHandler('email.orderDelivery', sendOrderDelivery);
+  registerJobHandler('licenseKeys.fillOwed', fillLicenseKeys);
+}
+
+module.exports = { registerJobHandlers };
@@ -0,0 +1,81 @@
+// utils/jobQueue.js
+const Job = require('../models/job.model');
+
+const handlers = new Map();
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;  // a "running" job older than this is assumed lost (crash/restart)
+const BASE_RETRY_DELAY_MS = 5000;
+
+// Handlers receive (payload, job) and return a result to store; throwing schedules a retry
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+async function enqueueJob(type, payload = {}, { shop, maxAttempts = 5, delayMs = 0 } = {}) {
+  if (!handlers.has(type)) throw new Error(`No handler registered for job type: ${type}`);
+  const job = await Job.create({ type, shop, payload, maxAttempts, runAt: new Date(Date.now() + delayMs) });
+  console.log(`📥 Job queued: ${type} (${job._id})`);
+  return job;
+}
+
+// Atomically claims the next due job so several workers never run the same one
+async function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  try {
+    if (!handler) throw new Error(`No handler registered for job type: ${job.type}`);
+    const result = await handler(job.payload, job);
+    await Job.updateOne({ _id: job._id }, {
+      status: 'succeeded', result: result ?? null, lastError: null, lockedAt: null, finishedAt: new Date(),
+    });
+    console.log(`✅ Job ${job.type} (${job._id}) succeeded`);
+  } catch (err) {
+    const message = err.message || String(err);
+    const update = { lastError: message, lockedAt: null, result: err.result ?? job.result };
+    if (job.attempts >= job.maxAttempts) {
+      Object.assign(update, { status: 'dead', finishedAt: new Date() });
+      console.error(`☠️ Job ${job.type} (${job._id}) dead-lettered after ${job.attempts} attempts:`, message);
+    } else {
+      const delay = BASE_RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+      Object.assign(update, { status: 'queued', runAt: new Date(Date.now() + delay) });
+      console.warn(`⚠️ Job ${job.type} (${job._id}) failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms:`, message);
+    }
+    await Job.updateOne({ _id: job._id }, update);
+  }
+}
+
+let polling = false;
+async function processJobs() {
+  if (polling) return;
+  polling = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('Job worker error:', err.message || err);
+  } finally {
+    polling = false;
+  }
+}
+
+function startJobWorker() {
+  setInterval(processJobs, POLL_INTERVAL_MS).unref();
+  console.log(`⚙️ Job worker started (polling every ${POLL_INTERVAL_MS}ms)`);
+}
+
+module.exports = { registerJobHandler, enqueueJob, startJobWorker, processJobs };
@@ -0,0 +1,212 @@
+// utils/licenseKeys.js
+const crypto = require('crypto');
+const LicenseKey = require('../models/licensekey.model');
+const Entitlement = require('../models/entitlement.model');
+const DigitalProduct = require('../models/digitalproduct.model');
+const EmailDelivery = require('../models/emaildelivery.model');
+const { isMailConfigured } = require('./mailer');
+const { resendDelivery } = require('./orderDelivery');
+
+const ASSIGN_LOCK_TIMEOUT_MS = 5 * 60 * 1000;  // a lock older than this is assumed lost (crash mid-assignment)
+
+// Pattern placeholders: X = letter or digit, A = letter, 9 = digit; anything else is kept as-is
+// and a backslash keeps a placeholder literal (e.g. "\\APP-9999").
+// Ambiguous characters (0/O, 1/I) are left out so keys can be typed from an email.
+const PATTERN_CHARSETS = {
+  X: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+  A: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  9: '0123456789',
+};
+const DEFAULT_PATTERN = 'XXXXX-XXXXX-XXXXX-XXXXX';
+
+function generateLicenseKey(pattern = DEFAULT_PATTERN) {
+  let key = '';
+  let escaped = false;
+  for (const ch of pattern) {
+    if (!escaped && ch === '\\') {
+      escaped = true;
+      continue;
+    }
+    const charset = escaped ? null : PATTERN_CHARSETS[ch];
+    key += charset ? charset[crypto.randomInt(charset.length)] : ch;
+    escaped = false;
+  }
+  return key;
+}
+
+// Variant override > product default
+function resolveLicenseKeyPattern(product, variant) {
+  return variant?.licenseKeyPattern || product?.licenseKeyPattern || null;
+}
+
+// Bulk import; duplicates (within the list or already in the pool) are skipped, not errors
+async function importLicenseKeys(productId, variantId, keys) {
+  const unique = [...new Set((keys || []).map(k => String(k).trim()).filter(k => k))];
+  if (unique.length === 0) return { imported: 0, skipped: 0 };
+
+  let imported = 0;
+  try {
+    const result = await LicenseKey.insertMany(
+      unique.map(key => ({ productId, variantId, key, source: 'imported' })),
+      { ordered: false }
+    );
+    imported = result.length;
+  } catch (err) {
+    if (err.code !== 11000 && !err.writeErrors) throw err;
+    imported = err.insertedDocs?.length ?? err.result?.insertedCount ?? 0;
+  }
+  return { imported, skipped: (keys || []).length - imported };
+}
+
+async function generateLicenseKeys(productId, variantId, count, pattern = DEFAULT_PATTERN) {
+  const keys = Array.from({ length: count }, () => generateLicenseKey(pattern));
+  const unique = [...new Set(keys)];
+  const result = await LicenseKey.insertMany(
+    unique.map(key => ({ productId, variantId, key, source: 'generated' })),
+    { ordered: false }
+  ).catch(err => {
+    if (err.code !== 11000 && !err.writeErrors) throw err;
+    return err.insertedDocs || [];
+  });
+  return { generated: result.length };
+}
+
+// Generated on demand when the pool is empty; retried on the (unlikely) unique-index collision
+async function createAssignedKey(baseAssignment, pattern) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await LicenseKey.create({ ...baseAssignment, key: generateLicenseKey(pattern), source: 'generated', status: 'assigned' });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error(`Could not generate a unique license key for variant ${baseAssignment.variantId}`);
+}
+
+// Gives the entitlement one key per purchased unit and stores them on it. Each pool key is claimed with
+// an atomic status flip, so concurrent orders can never receive the same key. Safe to call again for the
+// same line item (webhook retries): keys already assigned to it are counted first, and the entitlement is
+// locked while keys are assigned so two simultaneous deliveries do not both top it up.
+// Keys that cannot be assigned yet are recorded in licenseKeysOwed and handed out once keys are added.
+// Resolves the line item's keys, or null when another delivery is assigning them right now.
+async function assignLicenseKeys(entitlement, { pattern = null } = {}) {
+  const lockedAt = new Date();
+  const locked = await Entitlement.findOneAndUpdate(
+    {
+      _id: entitlement._id,
+      $or: [
+        { licenseKeysAssigningAt: null },
+        { licenseKeysAssigningAt: { $lt: new Date(lockedAt.getTime() - ASSIGN_LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { licenseKeysAssigningAt: lockedAt } }
+  );
+  if (!locked) return null;
+
+  let keys = null;
+  try {
+    keys = await assignUnlocked(entitlement, pattern);
+  } finally {
+    const update = { licenseKeysAssigningAt: null };
+    if (keys) {
+      update.licenseKeys = keys;
+      update.licenseKeysOwed = Math.max((entitlement.quantity || 1) - keys.length, 0);
+    }
+    await Entitlement.updateOne({ _id: entitlement._id, licenseKeysAssigningAt: lockedAt }, { $set: update });
+  }
+  return keys;
+}
+
+async function assignUnlocked(entitlement, pattern) {
+  const lineItem = { orderId: entitlement.orderId, lineItemId: entitlement.lineItemId };
+  const assigned = await LicenseKey.find({ ...lineItem, status: 'assigned' }).sort({ assignedAt: 1 });
+  const needed = (entitlement.quantity || 1) - assigned.length;
+
+  const baseAssignment = {
+    productId: entitlement.productId,
+    variantId: entitlement.variantId,
+    entitlementId: entitlement._id,
+    customerEmail: entitlement.customerEmail,
+    ...lineItem,
+  };
+
+  for (let i = 0; i < needed; i++) {
+    const now = new Date();
+    let licenseKey = await LicenseKey.findOneAndUpdate(
+      { variantId: entitlement.variantId, status: 'available' },
+      { $set: { ...baseAssignment, status: 'assigned', assignedAt: now } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!licenseKey && pattern) {
+      licenseKey = await createAssignedKey({ ...baseAssignment, assignedAt: now }, pattern);
+    }
+    if (!licenseKey) {
+      console.warn(`⚠️ License key pool empty for variant ${entitlement.variantId} - ${needed - i} key(s) still owed for order ${entitlement.orderId}`);
+      break;
+    }
+    assigned.push(licenseKey);
+  }
+
+  return assigned.map(k => k.key);
+}
+
+// Hands newly added keys to the variant's buyers still owed some, oldest order first, and emails them
+// their order again so they get the keys. Line items locked by a webhook delivery are counted as busy.
+async function fillOwedLicenseKeys(shop, productId, variantId) {
+  const product = await DigitalProduct.findOne({ shop, productId }).lean();
+  const variant = product?.variants.find(v => v.id === variantId);
+  if (!variant) return { filled: 0, stillOwed: 0, busy: 0 };
+
+  const entitlements = await Entitlement.find({
+    shop,
+    variantId,
+    licenseKeysOwed: { $gt: 0 },
+    revokedAt: null,
+  }).sort({ createdAt: 1 });
+
+  const pattern = resolveLicenseKeyPattern(product, variant);
+  let filled = 0;
+  let busy = 0;
+  let stillOwed = 0;
+  for (let i = 0; i < entitlements.length; i++) {
+    const entitlement = entitlements[i];
+    const keys = await assignLicenseKeys(entitlement, { pattern });
+    if (!keys) {
+      busy++;
+      continue;
+    }
+    if (keys.length > entitlement.licenseKeys.length) {
+      filled++;
+      await resendOrderWithKeys(entitlement);
+    }
+    if (keys.length < (entitlement.quantity || 1)) {
+      // Pool is empty again: this and later orders wait for the next keys
+      stillOwed = entitlements.length - i;
+      break;
+    }
+  }
+
+  console.log(`🔑 Filled owed license keys for ${filled} line item(s) of variant ${variantId}`);
+  return { filled, stillOwed, busy };
+}
+
+async function resendOrderWithKeys(entitlement) {
+  if (!isMailConfigured()) return;
+  const original = await EmailDelivery.findOne({
+    shop: entitlement.shop,
+    type: 'order_delivery',
+    orderId: entitlement.orderId,
+    resendOf: null,
+  });
+  if (original) await resendDelivery(original);
+}
+
+module.exports = {
+  DEFAULT_PATTERN,
+  generateLicenseKey,
+  resolveLicenseKeyPattern,
+  importLicenseKeys,
+  generateLicenseKeys,
+  fillOwedLicenseKeys,
+  assignLicenseKeys,
+};
@@ -0,0 +1,45 @@
+// utils/mailer.js
+const nodemailer = require('nodemailer');
+
+let activeTransport = null;
+
+// SMTP from env (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS). A local catcher such as
+// MailHog / Mailpit only needs SMTP_HOST=localhost SMTP_PORT=1025. MAIL_TRANSPORT=json logs instead of sending.
+function createMailTransport() {
+  if (process.env.MAIL_TRANSPORT === 'json') return nodemailer.createTransport({ jsonTransport: true });
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not configured");
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+}
+
+function getMailTransport() {
+  if (!activeTransport) activeTransport = createMailTransport();
+  return activeTransport;
+}
+
+// Swap the transport (anything with nodemailer's sendMail(message) => Promise)
+function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+// Whether emails can go out at all; stores on a deployment without mail settings simply get none
+function isMailConfigured() {
+  return !!process.env.MAIL_FROM && !!(activeTransport || process.env.SMTP_HOST || process.env.MAIL_TRANSPORT === 'json');
+}
+
+async function sendMail({ to, subject, text, html, replyTo }) {
+  const from = process.env.MAIL_FROM;
+  if (!from) throw new Error("MAIL_FROM is not configured");
+
+  const info = await getMailTransport().sendMail({ from, to, subject, text, html, replyTo });
+  console.log(`📧 Email sent to ${to}: ${subject}`);
+  return { messageId: info.messageId || null };
+}
+
+module.exports = { createMailTransport, setMailTransport, isMailConfigured, sendMail };
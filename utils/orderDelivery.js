@@ -0,0 +1,177 @@
+// utils/orderDelivery.js
+const DigitalProduct = require('../models/digitalproduct.model');
+const Entitlement = require('../models/entitlement.model');
+const EmailDelivery = require('../models/emaildelivery.model');
+const { enqueueJob } = require('./jobQueue');
+const { isMailConfigured, sendMail } = require('./mailer');
+const { fileNameFromKey } = require('./s3');
+const { createDownloadToken, buildDownloadUrl } = require('./downloadToken');
+const { getVariantFiles } = require('./variantFiles');
+const { resolveBuyerFiles } = require('./fileVersions');
+const { getEmailTemplate, renderEmail } = require('./emailTemplates');
+
+const DEFAULT_LINK_TTL_HOURS = 24 * 30;
+
+function variantTitleOf(variant) {
+  return variant?.title && variant.title !== 'Default Title' ? variant.title : null;
+}
+
+function toTemplateFiles(files) {
+  return files.map(f => ({ name: f.name || fileNameFromKey(f.key), size: f.size || null }));
+}
+
+// Emailed links last DELIVERY_LINK_TTL_HOURS (default 30 days), never past the buyer's access expiry
+function linkExpiry(entitlement, now) {
+  const ttlHours = parseInt(process.env.DELIVERY_LINK_TTL_HOURS, 10) || DEFAULT_LINK_TTL_HOURS;
+  const expiresAt = new Date(now.getTime() + ttlHours * 60 * 60 * 1000);
+  return entitlement.expiresAt && entitlement.expiresAt < expiresAt ? new Date(entitlement.expiresAt) : expiresAt;
+}
+
+// Template data for one purchased line item, with a fresh download link
+function toDeliveryItem(entitlement, product, now) {
+  const variant = product?.variants.find(v => v.id === entitlement.variantId);
+  if (!variant) return null;
+
+  const pinnedVersion = product.buyerVersionPolicy === 'purchased' ? entitlement.fileVersion : null;
+  const expiresAt = linkExpiry(entitlement, now);
+  const token = createDownloadToken({
+    productId: entitlement.productId,
+    variantId: entitlement.variantId,
+    entitlementId: entitlement._id,
+    expiresIn: Math.max(Math.floor((expiresAt - now) / 1000), 60),
+  });
+
+  return {
+    productName: product.name,
+    variantTitle: variantTitleOf(variant),
+    quantity: entitlement.quantity,
+    files: toTemplateFiles(resolveBuyerFiles(variant, pinnedVersion)),
+    downloadUrl: buildDownloadUrl(token),
+    expiresAt,
+    remainingDownloads: entitlement.remainingDownloads,
+    licenseKeys: entitlement.licenseKeys || [],
+  };
+}
+
+// Context the templates render against: { shop, order: { id, name, email, customerName }, items: [...] }
+function buildDeliveryContext({ shop, order, items }) {
+  return { shop: { domain: shop }, order, items };
+}
+
+// Sample order for the template preview, built from the store's latest product when it has one
+async function buildSampleDeliveryContext(shop) {
+  const now = new Date();
+  const product = await DigitalProduct.findOne({ shop }).sort({ updatedAt: -1 }).lean();
+  const variant = product?.variants.find(v => getVariantFiles(v).length > 0) || product?.variants[0];
+  const files = variant ? toTemplateFiles(getVariantFiles(variant)) : [];
+
+  const item = {
+    productName: product?.name || 'Sample ebook',
+    variantTitle: variantTitleOf(variant),
+    quantity: 1,
+    files: files.length ? files : [{ name: 'sample-ebook.pdf', size: 2457600 }],
+    downloadUrl: buildDownloadUrl('sample'),
+    expiresAt: linkExpiry({}, now),
+    remainingDownloads: variant?.downloadLimit || product?.downloadLimit || null,
+    licenseKeys: product?.licenseKeysEnabled ? ['SAMPLE-0000-0000-0000'] : [],
+  };
+  return buildDeliveryContext({
+    shop,
+    order: { id: '1001', name: '#1001', email: 'customer@example.com', customerName: 'Jane Doe' },
+    items: [item],
+  });
+}
+
+async function enqueueDelivery(delivery) {
+  const job = await enqueueJob('email.orderDelivery', { deliveryId: String(delivery._id) }, { shop: delivery.shop });
+  delivery.jobId = job._id;
+  await delivery.save();
+  return delivery;
+}
+
+// Delivery email for a paid order. Shopify retries webhooks, so an order only ever queues one; null when skipped.
+async function queueOrderDelivery({ shop, order, to }) {
+  const template = await getEmailTemplate(shop, 'order_delivery');
+  if (!template.enabled) return null;
+  if (!isMailConfigured()) {
+    console.warn(`⚠️ Mail is not configured - no delivery email for order ${order.name || order.id}`);
+    return null;
+  }
+
+  const customerName = [order.customer?.first_name, order.customer?.last_name].filter(n => n).join(' ') || null;
+  const filter = { shop, type: 'order_delivery', orderId: String(order.id), resendOf: null };
+  let delivery;
+  try {
+    delivery = await EmailDelivery.findOneAndUpdate(filter, { $setOnInsert: { orderName: order.name, customerName, to } }, { upsert: true, new: true });
+  } catch (err) {
+    // A simultaneous delivery of the webhook inserted it first (partial unique index); that one queues the job
+    if (err.code !== 11000) throw err;
+    return EmailDelivery.findOne(filter);
+  }
+  // Already queued by an earlier delivery of the webhook
+  if (delivery.jobId) return delivery;
+  return enqueueDelivery(delivery);
+}
+
+// Sends the order's email again with fresh links, optionally to another address
+async function resendDelivery(original, { to } = {}) {
+  const delivery = await EmailDelivery.create({
+    shop: original.shop,
+    type: original.type,
+    orderId: original.orderId,
+    orderName: original.orderName,
+    customerName: original.customerName,
+    to: to || original.to,
+    resendOf: original._id,
+  });
+  return enqueueDelivery(delivery);
+}
+
+async function markFailed(delivery, message) {
+  delivery.status = 'failed';
+  delivery.error = message;
+  await delivery.save();
+}
+
+// payload: { deliveryId } - renders the store's template against the order's current entitlements and sends it
+async function sendOrderDelivery({ deliveryId }, job) {
+  const delivery = await EmailDelivery.findOne({ _id: deliveryId, shop: job.shop });
+  if (!delivery) return { skipped: true, reason: "Delivery not found" };
+  if (delivery.status === 'sent') return { skipped: true, reason: "Already sent" };
+
+  const now = new Date();
+  const entitlements = await Entitlement.find({ shop: delivery.shop, orderId: delivery.orderId, revokedAt: null }).lean();
+  const products = await DigitalProduct.find({ shop: delivery.shop, productId: { $in: entitlements.map(e => e.productId) } }).lean();
+  const items = entitlements
+    .map(e => toDeliveryItem(e, products.find(p => p.productId === e.productId), now))
+    .filter(item => item);
+  if (items.length === 0) {
+    // Refunded or deleted since the order: nothing to deliver, and retrying will not change that
+    await markFailed(delivery, "No active downloads for this order");
+    return { skipped: true, reason: "No active downloads" };
+  }
+
+  delivery.attempts += 1;
+  try {
+    const template = await getEmailTemplate(delivery.shop, delivery.type);
+    const email = renderEmail(template, buildDeliveryContext({
+      shop: delivery.shop,
+      order: { id: delivery.orderId, name: delivery.orderName, email: delivery.to, customerName: delivery.customerName },
+      items,
+    }));
+    delivery.subject = email.subject;
+    const { messageId } = await sendMail({ to: delivery.to, ...email });
+
+    delivery.status = 'sent';
+    delivery.messageId = messageId;
+    delivery.error = null;
+    delivery.sentAt = new Date();
+    await delivery.save();
+    return { to: delivery.to, messageId, items: items.length };
+  } catch (err) {
+    await markFailed(delivery, err.message || String(err));
+    throw err;
+  }
+}
+
+module.exports = { buildSampleDeliveryContext, queueOrderDelivery, resendDelivery, sendOrderDelivery };
@@ -0,0 +1,46 @@
+// utils/pdfWatermark.js
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const FOOTER_FONT_SIZE = 8;
+
+function isPdfFile(file, contentType) {
+  const type = contentType || file?.contentType;
+  if (type) return type.split(';')[0].trim().toLowerCase() === 'application/pdf';
+  return path.extname(file?.name || file?.key || '').toLowerCase() === '.pdf';
+}
+
+function buildWatermarkText({ customerEmail, orderName, orderId }) {
+  const parts = [];
+  if (customerEmail) parts.push(`Licensed to ${customerEmail}`);
+  if (orderName || orderId) parts.push(`Order ${orderName || orderId}`);
+  return parts.join(' - ');
+}
+
+// Standard fonts only cover WinAnsi; replace anything else so drawText never throws
+function toWinAnsi(text) {
+  return text.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+// Returns a new PDF (Buffer) with the text stamped in the footer of every page
+async function stampPdf(pdfBuffer, text) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const footer = toWinAnsi(text);
+  const textWidth = font.widthOfTextAtSize(footer, FOOTER_FONT_SIZE);
+
+  for (const page of pdfDoc.getPages()) {
+    const { x, y, width } = page.getCropBox();
+    page.drawText(footer, {
+      x: x + Math.max((width - textWidth) / 2, 10),
+      y: y + 12,
+      size: FOOTER_FONT_SIZE,
+      font,
+      color: rgb(0.45, 0.45, 0.45),
+    });
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = { isPdfFile, buildWatermarkText, stampPdf };
@@ -0,0 +1,170 @@
+// utils/productDataSchema.js
+const { UPLOADS_PREFIX } = require('./s3');
+
+const PRODUCT_GID_REGEX = /^gid:\/\/shopify\/Product\/\d+$/;
+const VARIANT_GID_REGEX = /^gid:\/\/shopify\/ProductVariant\/\d+$/;
+const OBJECT_ID_REGEX = /^([a-f0-9]{24})?$/i;
+
+// Field types. Form data and older clients send numbers and flags as strings, so those are accepted too.
+const TYPES = {
+  string: { test: v => typeof v === 'string', message: 'must be a string' },
+  flag: { test: v => typeof v === 'boolean' || v === 'true' || v === 'false', message: 'must be true or false' },
+  count: { test: v => (Number.isInteger(v) && v >= 0) || (typeof v === 'string' && /^\d+$/.test(v)), message: 'must be a whole number' },
+  limit: { test: v => v === '' || (Number.isInteger(v) && v >= 0) || (typeof v === 'string' && /^\d+$/.test(v)), message: 'must be a whole number (0 = unlimited)' },
+  array: { test: v => Array.isArray(v), message: 'must be an array' },
+  object: { test: v => v !== null && typeof v === 'object' && !Array.isArray(v), message: 'must be an object' },
+};
+
+const isUploadKey = key => key.startsWith(UPLOADS_PREFIX);
+const UPLOAD_KEY_MESSAGE = `must be an uploaded file key (${UPLOADS_PREFIX}...)`;
+
+const fileEntrySchema = {
+  type: 'object',
+  properties: {
+    key: { type: 'string', required: true, test: isUploadKey, message: UPLOAD_KEY_MESSAGE },
+    url: { type: 'string', nullable: true },
+    name: { type: 'string', nullable: true },
+    size: { type: 'count', nullable: true },
+    contentType: { type: 'string', nullable: true },
+    sha256: { type: 'string', nullable: true },
+  },
+};
+
+const variantSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true, pattern: VARIANT_GID_REGEX, message: 'must be a Shopify variant GID (gid://shopify/ProductVariant/<id>)' },
+    sku: { type: 'string', nullable: true },
+    title: { type: 'string', nullable: true },
+    image: { type: 'string', nullable: true },
+    files: { type: 'array', nullable: true, items: fileEntrySchema },
+    appendFiles: { type: 'flag', nullable: true },
+    // Legacy single-file fields
+    fileKey: { type: 'string', nullable: true, test: k => k === '' || isUploadKey(k), message: UPLOAD_KEY_MESSAGE },
+    fileUrl: { type: 'string', nullable: true },
+    fileName: { type: 'string', nullable: true },
+    fileSize: { type: 'count', nullable: true },
+    download: { type: 'count', nullable: true },
+    downloadLimit: { type: 'limit', nullable: true },
+    accessDays: { type: 'limit', nullable: true },
+    licenseKeyPattern: { type: 'string', nullable: true },
+    versionNote: { type: 'string', nullable: true },  // recorded on the new file version when files change
+  },
+};
+
+// The productData JSON field of POST /api/upload
+const productDataSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', nullable: true, pattern: OBJECT_ID_REGEX, message: 'must be the id of a saved digital product' },  // empty = new product
+    productId: { type: 'string', required: true, pattern: PRODUCT_GID_REGEX, message: 'must be a Shopify product GID (gid://shopify/Product/<id>)' },
+    title: { type: 'string', required: true, test: t => t.trim().length > 0, message: 'must not be empty' },
+    productImage: { type: 'string', nullable: true },
+    status: { type: 'string', nullable: true },
+    fileType: { type: 'string', nullable: true },
+    totalVariants: { type: 'count', nullable: true },
+    downloadLimit: { type: 'limit', nullable: true },
+    accessDays: { type: 'limit', nullable: true },
+    watermarkPdfs: { type: 'flag', nullable: true },
+    licenseKeysEnabled: { type: 'flag', nullable: true },
+    licenseKeyPattern: { type: 'string', nullable: true },
+    buyerVersionPolicy: { type: 'string', nullable: true, test: p => ['latest', 'purchased'].includes(p), message: 'must be "latest" or "purchased"' },
+    versionNote: { type: 'string', nullable: true },
+    notifyBuyers: { type: 'flag', nullable: true },  // email existing buyers of variants whose files were replaced
+    variants: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      uniqueBy: 'id',
+      items: variantSchema,
+    },
+  },
+};
+
+function formatPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+// Walks value against rule; pushes { path, message } onto errors. Unknown properties are ignored.
+function validateValue(value, rule, path, errors) {
+  if (value === undefined || value === null) {
+    if (rule.required) errors.push({ path, message: 'is required' });
+    else if (value === null && !rule.nullable) errors.push({ path, message: 'must not be null' });
+    return;
+  }
+
+  const type = TYPES[rule.type];
+  if (!type.test(value)) {
+    errors.push({ path, message: type.message });
+    return;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) errors.push({ path, message: rule.message });
+  if (rule.test && !rule.test(value)) errors.push({ path, message: rule.message });
+
+  if (rule.type === 'object') {
+    for (const [key, childRule] of Object.entries(rule.properties || {})) {
+      validateValue(value[key], childRule, formatPath(path, key), errors);
+    }
+  }
+
+  if (rule.type === 'array') {
+    if (rule.minItems && value.length < rule.minItems) {
+      errors.push({ path, message: `must contain at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}` });
+    }
+    const seen = new Set();
+    value.forEach((item, index) => {
+      if (rule.items) validateValue(item, rule.items, formatPath(path, index), errors);
+      const uniqueValue = rule.uniqueBy && item?.[rule.uniqueBy];
+      if (uniqueValue) {
+        if (seen.has(uniqueValue)) errors.push({ path: formatPath(formatPath(path, index), rule.uniqueBy), message: `duplicates ${uniqueValue}` });
+        seen.add(uniqueValue);
+      }
+    });
+  }
+}
+
+// Parses and validates the raw productData field. Returns { productData, errors }; errors is empty when valid.
+function parseProductData(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { productData: null, errors: [{ path: 'productData', message: 'is required' }] };
+  }
+
+  let productData;
+  try {
+    productData = JSON.parse(raw);
+  } catch (e) {
+    return { productData: null, errors: [{ path: 'productData', message: `is not valid JSON (${e.message})` }] };
+  }
+
+  const errors = [];
+  validateValue(productData, { ...productDataSchema, required: true }, '', errors);
+  errors.forEach(err => { err.path = err.path ? `productData.${err.path}` : 'productData'; });
+  return { productData, errors };
+}
+
+// Uploaded file field names: "file" (common files) or "variantFiles[<variant GID>]" for a variant declared in productData
+function validateFileFields(fieldNames, productData) {
+  const variantIds = new Set((productData?.variants || []).map(v => v?.id));
+  const errors = [];
+  for (const name of fieldNames) {
+    if (name === 'file') continue;
+    const match = name.match(/^variantFiles\[(.*)\]$/);
+    if (!match) {
+      errors.push({ path: name, message: 'is not a recognised file field (use "file" or "variantFiles[<variant id>]")' });
+    } else if (!variantIds.has(match[1])) {
+      errors.push({ path: name, message: 'does not match any variant in productData.variants' });
+    }
+  }
+  return errors;
+}
+
+function validationError(errors) {
+  const err = new Error('Invalid product data');
+  err.statusCode = 422;
+  err.code = 'validation_failed';
+  err.errors = errors;
+  return err;
+}
+
+module.exports = { PRODUCT_GID_REGEX, productDataSchema, parseProductData, validateFileFields, validationError };
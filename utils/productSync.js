@@ -0,0 +1,39 @@
+// utils/productSync.js
+
+function toProductGid(payload) {
+  return payload.admin_graphql_api_id || `gid://shopify/Product/${payload.id}`;
+}
+
+function toVariantGid(variant) {
+  return variant.admin_graphql_api_id || `gid://shopify/ProductVariant/${variant.id}`;
+}
+
+// Applies a products/update webhook payload (REST shape) to a stored DigitalProduct document.
+// Variants missing from Shopify are dropped; variants added in Shopify are left for the merchant to set up.
+// Returns the variants that were removed so the caller can clean up their files.
+function applyShopifyProductUpdate(product, payload) {
+  const imagesById = new Map((payload.images || []).map(img => [img.id, img.src]));
+  const productImage = payload.image?.src || payload.images?.[0]?.src || product.productImage;
+  const shopifyVariants = new Map((payload.variants || []).map(v => [toVariantGid(v), v]));
+
+  product.name = payload.title || product.name;
+  product.productImage = productImage;
+  if (payload.status) product.status = payload.status.toUpperCase();  // REST sends "active"; store GraphQL casing (ACTIVE/DRAFT/ARCHIVED)
+
+  const removedVariants = product.variants.filter(v => !shopifyVariants.has(v.id));
+  const isSingleVariant = shopifyVariants.size <= 1;
+
+  product.variants = product.variants.filter(v => shopifyVariants.has(v.id));
+  product.variants.forEach(v => {
+    const sv = shopifyVariants.get(v.id);
+    v.sku = sv.sku ?? v.sku;
+    // Same rule as /api/upload: a single-variant product uses the product title and image
+    v.title = isSingleVariant ? product.name : (sv.title || v.title);
+    v.image = isSingleVariant ? productImage : (imagesById.get(sv.image_id) || v.image);
+  });
+  product.totalVariants = Math.max(shopifyVariants.size, 1);
+
+  return removedVariants;
+}
+
+module.exports = { toProductGid, toVariantGid, applyShopifyProductUpdate };
@@ -1,84 +1,59 @@
-// utils/shopify.js
-const { GraphQLClient, gql } = require('graphql-request');
-
-async function setVariantAsDigitalInShopify(shopDomain, accessToken, productId, variantId) {
-  const client = new GraphQLClient(`https://${shopDomain}/admin/api/2025-01/graphql.json`, {
-    headers: { "X-Shopify-Access-Token": accessToken, "Content-Type": "application/json" },
-  });
-
-  const getInventoryItemIdQuery = gql`
-    query getVariantInventory($variantId: ID!) {
-      productVariant(id: $variantId) {
-        inventoryItem { id }
-      }
-    }
-  `;
-
-  const inventoryData = await client.request(getInventoryItemIdQuery, { variantId });
-  const inventoryItemId = inventoryData.productVariant?.inventoryItem?.id;
-  if (!inventoryItemId) throw new Error(`No inventory item found for variant ${variantId}`);
-
-  const updateInventoryMutation = gql`
-    mutation updateInventoryItem($id: ID!, $requiresShipping: Boolean!) {
-      inventoryItemUpdate(id: $id, input: { requiresShipping: $requiresShipping }) {
-        inventoryItem { id requiresShipping }
-        userErrors { field message }
-      }
-    }
-  `;
-
-  const result = await client.request(updateInventoryMutation, { id: inventoryItemId, requiresShipping: false });
-  if (result.inventoryItemUpdate.userErrors?.length) {
-    console.error("Shopify update errors:", result.inventoryItemUpdate.userErrors);
-    return { status: false, errors: result.inventoryItemUpdate.userErrors };
-  }
-
-  console.log("Variant set as digital in Shopify");
-  return { status: true };
+// utils/s3.js
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+
+// S3 Setup (DigitalOcean Spaces)
+const region = process.env.DO_SPACES_REGION || "nyc3";
+const spacesEndpoint = new AWS.Endpoint(
+  process.env.DO_SPACES_ENDPOINT || `https://${process.env.DO_SPACES_BUCKET_NAME || "your-space-name"}.${region}.digitaloceanspaces.com`
+);
+const s3 = new AWS.S3({
+  endpoint: spacesEndpoint,
+  accessKeyId: process.env.DO_SPACES_KEY,
+  secretAccessKey: process.env.DO_SPACES_SECRET,
+  region: region,
+  s3ForcePathStyle: true,
+});
+
+// Every object the app uploads lives under this prefix
+const UPLOADS_PREFIX = 'private/wp-content/uploads/';
+
+// Object key layout shared by form uploads and chunked uploads:
+// <prefix>/YYYY/MM/<product>/<variant|common>/<content hash or random id>-<file name>
+// so two variants (or two uploads) with the same file name never land on the same key
+function buildFileKey(productId, originalFilename, { variantId, contentHash } = {}) {
+  const currentYearStr = new Date().getFullYear().toString();
+  const monthStr = (new Date().getMonth() + 1).toString().padStart(2, "0");
+  const cleanFileName = (originalFilename || 'unknown').replace(/\s+/g, "_");
+  const numericId = productId?.split("/").pop() || 'unknown';
+  const variantSegment = variantId ? String(variantId).split("/").pop() : 'common';
+  const uniqueId = contentHash ? contentHash.slice(0, 16) : crypto.randomBytes(8).toString('hex');
+  return {
+    key: `${UPLOADS_PREFIX}${currentYearStr}/${monthStr}/${numericId}/${variantSegment}/${uniqueId}-${cleanFileName}`,
+    cleanFileName,
+  };
 }
 
-async function updateProductTagsInShopify(shopDomain, accessToken, productId, newTags = []) {
-  if (!newTags.length) return { status: false, message: "No tags to update" };
-
-  const client = new GraphQLClient(`https://${shopDomain}/admin/api/2025-01/graphql.json`, {
-    headers: {
-      "X-Shopify-Access-Token": accessToken,
-      "Content-Type": "application/json",
-    },
-  });
-
-  const getTagsQuery = gql`
-    query getProductTags($id: ID!) {
-      product(id: $id) {
-        id
-        tags
-      }
-    }
-  `;
-
-  const productData = await client.request(getTagsQuery, { id: productId });
-  const currentTags = productData?.product?.tags || [];
-
-  const updatedTags = Array.from(new Set([...currentTags, ...newTags]));
-
-  const updateTagsMutation = gql`
-    mutation updateProductTags($id: ID!, $tags: [String!]!) {
-      productUpdate(input: { id: $id, tags: $tags }) {
-        product { id tags }
-        userErrors { field message }
-      }
-    }
-  `;
-
-  const result = await client.request(updateTagsMutation, { id: productId, tags: updatedTags });
+// Display name of an object: its file name without the unique id buildFileKey prepends
+function fileNameFromKey(key) {
+  return (key || '').split('/').pop().replace(/^[0-9a-f]{16}-/, '');
+}
 
-  if (result.productUpdate.userErrors?.length) {
-    console.error("Tag update errors:", result.productUpdate.userErrors);
-    return { status: false, errors: result.productUpdate.userErrors };
+async function deleteOldFileFromDO(fileKey) {
+  if (!fileKey) return;
+  try {
+    await s3.deleteObject({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: fileKey,
+    }).promise();
+    console.log("Old file deleted from DO:", fileKey);
+  } catch (err) {
+    console.warn("Failed to delete old file:", err.message || err);
   }
+}
 
-  console.log("✅ Product tags updated successfully:", updatedTags);
-  return { status: true, tags: updatedTags };
+function getObjectUrl(key) {
+  return `${s3.endpoint.href.replace(/\/$/, '')}/${process.env.DO_SPACES_BUCKET_NAME}/${key}`;
 }
 
-module.exports = { setVariantAsDigitalInShopify, updateProductTagsInShopify };
\ No newline at end of file
+module.exports = { s3, UPLOADS_PREFIX, buildFileKey, fileNameFromKey, deleteOldFileFromDO, getObjectUrl };
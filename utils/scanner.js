@@ -0,0 +1,130 @@
+// utils/scanner.js
+const fs = require('fs');
+const net = require('net');
+const { s3 } = require('./s3');
+
+const CLAMD_TIMEOUT_MS = 60 * 1000;
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!';
+
+// A scanner takes a readable stream and resolves { infected, signature }. Only scanners with verified: true
+// (a real antivirus engine) can mark a file clean; anything else records it as "unverified".
+
+// clamd INSTREAM over a unix socket (CLAMD_SOCKET) or TCP (CLAMD_HOST / CLAMD_PORT)
+function createClamdScanner({ socketPath, host, port, timeoutMs = CLAMD_TIMEOUT_MS } = {}) {
+  return {
+    name: 'clamd',
+    verified: true,
+    scanStream(stream) {
+      return new Promise((resolve, reject) => {
+        const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port || 3310, host || '127.0.0.1');
+        let reply = '';
+        let settled = false;
+        const finish = (err, result) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          stream.destroy();
+          if (err) reject(err);
+          else resolve(result);
+        };
+
+        socket.setTimeout(timeoutMs, () => finish(new Error('clamd scan timed out')));
+        socket.on('error', err => finish(err));
+        socket.on('data', chunk => { reply += chunk.toString('utf8'); });
+        socket.on('end', () => {
+          // "stream: OK" or "stream: <signature> FOUND"; anything else is a scanner error
+          const text = reply.replace(/\0/g, '').trim();
+          const found = text.match(/^stream: (.+) FOUND$/);
+          if (found) return finish(null, { infected: true, signature: found[1] });
+          if (text === 'stream: OK') return finish(null, { infected: false });
+          finish(new Error(`Unexpected clamd reply: ${text || '(empty)'}`));
+        });
+
+        socket.on('connect', async () => {
+          try {
+            socket.write('zINSTREAM\0');
+            for await (const chunk of stream) {
+              const size = Buffer.alloc(4);
+              size.writeUInt32BE(chunk.length, 0);
+              // Respect backpressure so large files are not buffered in memory
+              if (!socket.write(Buffer.concat([size, chunk]))) await new Promise(r => socket.once('drain', r));
+            }
+            socket.write(Buffer.alloc(4));  // zero-length chunk ends the stream
+          } catch (err) {
+            finish(err);
+          }
+        });
+      });
+    },
+  };
+}
+
+// Offline stand-in for development and tests (FILE_SCANNER=stub): flags the EICAR test string and
+// lets everything else through as unverified - never enable it in production
+function createStubScanner() {
+  return {
+    name: 'stub',
+    verified: false,
+    async scanStream(stream) {
+      let tail = '';
+      for await (const chunk of stream) {
+        const text = tail + chunk.toString('latin1');
+        if (text.includes(EICAR_SIGNATURE)) {
+          stream.destroy();
+          return { infected: true, signature: 'Eicar-Test-Signature' };
+        }
+        tail = text.slice(-EICAR_SIGNATURE.length);
+      }
+      return { infected: false };
+    },
+  };
+}
+
+let activeScanner = null;
+
+function isStubScannerEnabled() {
+  return process.env.FILE_SCANNER === 'stub';
+}
+
+function getScanner() {
+  if (!activeScanner) {
+    // clamd unless the stub is asked for explicitly; with no clamd reachable uploads are refused (scanner_unavailable)
+    if (isStubScannerEnabled()) {
+      console.warn("⚠️ FILE_SCANNER=stub: uploads are NOT virus scanned (EICAR test string only)");
+      activeScanner = createStubScanner();
+    } else {
+      activeScanner = createClamdScanner({
+        socketPath: process.env.CLAMD_SOCKET,
+        host: process.env.CLAMD_HOST,
+        port: parseInt(process.env.CLAMD_PORT, 10) || undefined,
+      });
+    }
+  }
+  return activeScanner;
+}
+
+// Swap the scanner implementation (any object with scanStream)
+function setScanner(scanner) {
+  activeScanner = scanner;
+}
+
+async function scan(stream) {
+  const scanner = getScanner();
+  const result = await scanner.scanStream(stream);
+  return { ...result, verified: scanner.verified === true, scanner: scanner.name, scannedAt: new Date() };
+}
+
+// Whether a stored scan result lets the file be attached: clean, or unverified while the stub is enabled
+function isScanAccepted(scan) {
+  return scan?.status === 'clean' || (scan?.status === 'unverified' && isStubScannerEnabled());
+}
+
+function scanFile(filepath) {
+  return scan(fs.createReadStream(filepath));
+}
+
+function scanObject(key) {
+  return scan(s3.getObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: key }).createReadStream());
+}
+
+module.exports = { createClamdScanner, createStubScanner, setScanner, scanFile, scanObject, isScanAccepted };
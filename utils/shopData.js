@@ -0,0 +1,187 @@
+// utils/shopData.js
+const DigitalProduct = require('../models/digitalproduct.model');
+const ShopifySession = require('../models/shopifysession.model');
+const Entitlement = require('../models/entitlement.model');
+const LicenseKey = require('../models/licensekey.model');
+const UploadSession = require('../models/uploadsession.model');
+const ShopDeletion = require('../models/shopdeletion.model');
+const StoredFile = require('../models/storedfile.model');
+const ShopSettings = require('../models/shopsettings.model');
+const EmailTemplate = require('../models/emailtemplate.model');
+const EmailDelivery = require('../models/emaildelivery.model');
+const GdprRequest = require('../models/gdprrequest.model');
+const { s3, deleteOldFileFromDO } = require('./s3');
+const { collectFileKeys } = require('./variantFiles');
+
+const DEFAULT_RETENTION_HOURS = 48;
+
+async function scheduleShopDeletion(shop, { reason = 'app_uninstalled', delayMs } = {}) {
+  const retentionHours = parseInt(process.env.SHOP_DATA_RETENTION_HOURS, 10);
+  const delay = delayMs ?? (Number.isNaN(retentionHours) ? DEFAULT_RETENTION_HOURS : retentionHours) * 60 * 60 * 1000;
+  const scheduledFor = new Date(Date.now() + delay);
+
+  await ShopDeletion.findOneAndUpdate(
+    { shop },
+    { shop, reason, scheduledFor, status: 'pending', completedAt: null, summary: null },
+    { upsert: true }
+  );
+  console.log(`🗓️ Data deletion for ${shop} scheduled for ${scheduledFor.toISOString()} (${reason})`);
+  return scheduledFor;
+}
+
+// Reinstalling within the retention window keeps the store's products and files
+async function cancelShopDeletion(shop) {
+  const result = await ShopDeletion.updateOne({ shop, status: 'pending' }, { status: 'cancelled' });
+  if (result.modifiedCount) console.log(`↩️ Pending data deletion cancelled for ${shop}`);
+}
+
+// Removes every record and Spaces object the app holds for the store
+async function purgeShopData(shop) {
+  const products = await DigitalProduct.find({ shop });
+  const productIds = products.map(p => p.productId);
+  // Also objects recorded for the store that no product references (failed or abandoned uploads)
+  const storedFiles = await StoredFile.find({ shop }).select('key').lean();
+  // Never an object recorded for another store, even if one of these products points at it
+  const productKeys = [...collectFileKeys(products.flatMap(p => p.variants))];
+  const foreignKeys = new Set((await StoredFile.find({ key: { $in: productKeys }, shop: { $ne: shop } }).select('key').lean()).map(f => f.key));
+  const fileKeys = [...new Set([...productKeys.filter(key => !foreignKeys.has(key)), ...storedFiles.map(f => f.key)])];
+  await Promise.all(fileKeys.map(key => deleteOldFileFromDO(key)));
+
+  const pendingUploads = await UploadSession.find({ shop, status: 'pending' });
+  for (const upload of pendingUploads) {
+    await s3.abortMultipartUpload({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: upload.key,
+      UploadId: upload.uploadId,
+    }).promise().catch(err => console.warn(`Failed to abort multipart upload ${upload.uploadId}:`, err.message));
+  }
+
+  const [productsResult, entitlementsResult, licenseKeysResult, uploadsResult] = await Promise.all([
+    DigitalProduct.deleteMany({ shop }),
+    Entitlement.deleteMany({ shop }),
+    LicenseKey.deleteMany({ productId: { $in: productIds } }),
+    UploadSession.deleteMany({ shop }),
+    StoredFile.deleteMany({ shop }),
+    ShopSettings.deleteMany({ shop }),
+    EmailTemplate.deleteMany({ shop }),
+    EmailDelivery.deleteMany({ shop }),
+    GdprRequest.deleteMany({ shop }),  // data_request exports hold customer data too
+  ]);
+  await ShopifySession.deleteOne({ shop });
+
+  const summary = {
+    products: productsResult.deletedCount,
+    files: fileKeys.length,
+    entitlements: entitlementsResult.deletedCount,
+    licenseKeys: licenseKeysResult.deletedCount,
+    uploadSessions: uploadsResult.deletedCount,
+  };
+  console.log(`🧹 Purged data for ${shop}:`, summary);
+  return summary;
+}
+
+async function processDueShopDeletions() {
+  const due = await ShopDeletion.find({ status: 'pending', scheduledFor: { $lte: new Date() } });
+  for (const deletion of due) {
+    try {
+      // Reinstalled without going through the OAuth callback cancel (e.g. token refresh): keep the data
+      if (deletion.reason === 'app_uninstalled' && await ShopifySession.exists({ shop: deletion.shop })) {
+        deletion.status = 'cancelled';
+      } else {
+        deletion.summary = await purgeShopData(deletion.shop);
+        deletion.status = 'completed';
+        deletion.completedAt = new Date();
+      }
+      await deletion.save();
+    } catch (err) {
+      console.error(`❌ Failed to purge data for ${deletion.shop}:`, err.message || err);
+    }
+  }
+}
+
+function customerEntitlementFilter(shop, { email, orderIds = [] }) {
+  const or = [];
+  if (email) or.push({ customerEmail: email.toLowerCase() });
+  if (orderIds.length) or.push({ orderId: { $in: orderIds.map(String) } });
+  return or.length ? { shop, $or: or } : null;
+}
+
+// Data request exports made for the customer or their orders
+function customerDataRequestFilter(shop, { email, orderIds = [] }) {
+  const or = [];
+  if (email) or.push({ customerEmail: email.toLowerCase() });
+  if (orderIds.length) or.push({ orderIds: { $in: orderIds.map(String) } });
+  return or.length ? { shop, topic: 'customers/data_request', $or: or } : null;
+}
+
+// Delivery log entries sent to the customer or for their orders
+function customerDeliveryFilter(shop, { email, orderIds = [] }) {
+  const or = [];
+  if (email) or.push({ to: email.toLowerCase() });
+  if (orderIds.length) or.push({ orderId: { $in: orderIds.map(String) } });
+  return or.length ? { shop, $or: or } : null;
+}
+
+// Everything the app stores about a customer, for customers/data_request
+async function exportCustomerData(shop, customer) {
+  const filter = customerEntitlementFilter(shop, customer);
+  if (!filter) return { entitlements: [], emails: [] };
+
+  const entitlements = await Entitlement.find(filter).lean();
+  const deliveries = await EmailDelivery.find(customerDeliveryFilter(shop, customer)).lean();
+  return {
+    entitlements: entitlements.map(e => ({
+      orderId: e.orderId,
+      orderName: e.orderName,
+      customerEmail: e.customerEmail,
+      productId: e.productId,
+      variantId: e.variantId,
+      quantity: e.quantity,
+      downloadCount: e.downloadCount,
+      remainingDownloads: e.remainingDownloads,
+      expiresAt: e.expiresAt,
+      revokedAt: e.revokedAt,
+      licenseKeys: e.licenseKeys || [],
+      purchasedAt: e.createdAt,
+    })),
+    emails: deliveries.map(d => ({
+      orderId: d.orderId,
+      orderName: d.orderName,
+      to: d.to,
+      subject: d.subject,
+      status: d.status,
+      sentAt: d.sentAt,
+    })),
+  };
+}
+
+// customers/redact: drop entitlements, the delivery log and earlier data request exports, and detach the customer from assigned license keys
+// (keys stay "assigned" so they are never handed to anyone else)
+async function redactCustomerData(shop, customer) {
+  const filter = customerEntitlementFilter(shop, customer);
+  if (!filter) return { entitlements: 0, licenseKeys: 0, emails: 0, dataRequests: 0 };
+
+  const entitlements = await Entitlement.find(filter).select('_id').lean();
+  const entitlementIds = entitlements.map(e => e._id);
+  const [entitlementsResult, licenseKeysResult, deliveriesResult, dataRequestsResult] = await Promise.all([
+    Entitlement.deleteMany({ _id: { $in: entitlementIds } }),
+    LicenseKey.updateMany({ entitlementId: { $in: entitlementIds } }, { customerEmail: null, entitlementId: null }),
+    EmailDelivery.deleteMany(customerDeliveryFilter(shop, customer)),
+    GdprRequest.deleteMany(customerDataRequestFilter(shop, customer)),
+  ]);
+  return {
+    entitlements: entitlementsResult.deletedCount,
+    licenseKeys: licenseKeysResult.modifiedCount,
+    emails: deliveriesResult.deletedCount,
+    dataRequests: dataRequestsResult.deletedCount,
+  };
+}
+
+module.exports = {
+  scheduleShopDeletion,
+  cancelShopDeletion,
+  purgeShopData,
+  processDueShopDeletions,
+  exportCustomerData,
+  redactCustomerData,
+};
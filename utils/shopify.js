@@ -1,84 +1,200 @@
 // utils/shopify.js
-const { GraphQLClient, gql } = require('graphql-request');
+const { GraphQLClient, ClientError, gql } = require('graphql-request');
 
-async function setVariantAsDigitalInShopify(shopDomain, accessToken, productId, variantId) {
-  const client = new GraphQLClient(`https://${shopDomain}/admin/api/2025-01/graphql.json`, {
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-01';
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 500;
+const DEFAULT_QUERY_COST = 10;
+
+// Last known cost budget per shop, from extensions.cost.throttleStatus
+const throttleStatusByShop = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function rememberThrottleStatus(shop, extensions) {
+  const status = extensions?.cost?.throttleStatus;
+  if (status) throttleStatusByShop.set(shop, { ...status, at: Date.now() });
+}
+
+// Wait until the bucket has restored enough points for the next query
+async function waitForBudget(shop, cost) {
+  const status = throttleStatusByShop.get(shop);
+  if (!status) return;
+  const restored = ((Date.now() - status.at) / 1000) * status.restoreRate;
+  const available = Math.min(status.maximumAvailable, status.currentlyAvailable + restored);
+  if (available >= cost) return;
+
+  const waitMs = Math.ceil(((cost - available) / status.restoreRate) * 1000);
+  console.log(`⏳ Shopify budget low for ${shop} (${Math.floor(available)}/${cost}), waiting ${waitMs}ms`);
+  await sleep(waitMs);
+}
+
+function isThrottled(err) {
+  return err instanceof ClientError && (err.response?.errors || []).some(e => e.extensions?.code === 'THROTTLED');
+}
+
+function isRetryable(err) {
+  if (isThrottled(err)) return true;
+  if (err instanceof ClientError) return err.response?.status >= 500 || err.response?.status === 429;
+  // Network failures surface from fetch as "fetch failed" with the socket error as cause
+  const code = err.code || err.cause?.code;
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(code) || err.message === 'fetch failed';
+}
+
+// Admin API client for one store; throttle state is shared by every client of the same store
+function createShopifyClient(shop, accessToken) {
+  const client = new GraphQLClient(`https://${shop}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
     headers: { "X-Shopify-Access-Token": accessToken, "Content-Type": "application/json" },
   });
 
-  const getInventoryItemIdQuery = gql`
-    query getVariantInventory($variantId: ID!) {
-      productVariant(id: $variantId) {
-        inventoryItem { id }
+  // cost: expected query cost, used to hold back before the bucket runs dry
+  async function request(query, variables = {}, { cost = DEFAULT_QUERY_COST } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await waitForBudget(shop, cost);
+      try {
+        const { data, extensions } = await client.rawRequest(query, variables);
+        rememberThrottleStatus(shop, extensions);
+        return data;
+      } catch (err) {
+        if (err instanceof ClientError) rememberThrottleStatus(shop, err.response?.extensions);
+        if (attempt >= MAX_ATTEMPTS || !isRetryable(err)) throw err;
+
+        const backoff = BASE_BACKOFF_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+        console.warn(`⚠️ Shopify request ${isThrottled(err) ? 'throttled' : 'failed'} for ${shop} (attempt ${attempt}/${MAX_ATTEMPTS}), retrying in ${backoff}ms`);
+        await sleep(backoff);
       }
     }
-  `;
+  }
+
+  return { shop, request };
+}
+
+// Mutation payloads carry userErrors instead of throwing; normalize them to the app's { status, errors } shape
+function userErrorResult(payload, label) {
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length === 0) return null;
+  console.error(`${label} user errors:`, userErrors);
+  return { status: false, errors: userErrors };
+}
+
+const BULK_VARIANT_BATCH_SIZE = 100;
 
-  const inventoryData = await client.request(getInventoryItemIdQuery, { variantId });
-  const inventoryItemId = inventoryData.productVariant?.inventoryItem?.id;
-  if (!inventoryItemId) throw new Error(`No inventory item found for variant ${variantId}`);
+// Sets requiresShipping for many variants of one product with productVariantsBulkUpdate (one call per batch).
+// Returns a per-variant report: { status, results: [{ variantId, status, errors? }] }
+async function updateVariantsShippingInShopify(shopDomain, accessToken, productId, variantIds, requiresShipping) {
+  const action = requiresShipping ? 'physical (shipping on)' : 'digital (shipping off)';
+  const ids = [...new Set(variantIds || [])];
+  if (ids.length === 0) return { status: true, results: [] };
 
-  const updateInventoryMutation = gql`
-    mutation updateInventoryItem($id: ID!, $requiresShipping: Boolean!) {
-      inventoryItemUpdate(id: $id, input: { requiresShipping: $requiresShipping }) {
-        inventoryItem { id requiresShipping }
-        userErrors { field message }
+  console.log(`🔄 Setting ${ids.length} variants as ${action} for product ${productId} on shop ${shopDomain}`);
+  const client = createShopifyClient(shopDomain, accessToken);
+
+  const bulkUpdateMutation = gql`
+    mutation bulkUpdateVariantShipping($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants, allowPartialUpdates: true) {
+        productVariants { id inventoryItem { requiresShipping } }
+        userErrors { field message code }
       }
     }
   `;
 
-  const result = await client.request(updateInventoryMutation, { id: inventoryItemId, requiresShipping: false });
-  if (result.inventoryItemUpdate.userErrors?.length) {
-    console.error("Shopify update errors:", result.inventoryItemUpdate.userErrors);
-    return { status: false, errors: result.inventoryItemUpdate.userErrors };
+  const results = [];
+  for (let start = 0; start < ids.length; start += BULK_VARIANT_BATCH_SIZE) {
+    const batch = ids.slice(start, start + BULK_VARIANT_BATCH_SIZE);
+    try {
+      const result = await client.request(bulkUpdateMutation, {
+        productId,
+        variants: batch.map(id => ({ id, inventoryItem: { requiresShipping } })),
+      }, { cost: 10 + batch.length });
+
+      const payload = result.productVariantsBulkUpdate;
+      // userErrors point at the input by index: field ["variants", "<index>", ...]
+      const errorsByIndex = new Map();
+      const generalErrors = [];
+      (payload?.userErrors || []).forEach(err => {
+        const index = err.field?.[0] === 'variants' ? parseInt(err.field[1], 10) : NaN;
+        if (Number.isNaN(index)) generalErrors.push(err);
+        else errorsByIndex.set(index, [...(errorsByIndex.get(index) || []), err]);
+      });
+      const updatedIds = new Set((payload?.productVariants || []).map(v => v.id));
+
+      batch.forEach((variantId, index) => {
+        const errors = [...(errorsByIndex.get(index) || []), ...generalErrors];
+        const ok = errors.length === 0 && (updatedIds.size === 0 || updatedIds.has(variantId));
+        results.push(ok ? { variantId, status: true } : { variantId, status: false, errors });
+      });
+    } catch (error) {
+      console.error(`❌ Bulk shipping update failed for product ${productId}:`, error.message);
+      batch.forEach(variantId => results.push({ variantId, status: false, errors: [{ message: error.message }] }));
+    }
   }
 
-  console.log("Variant set as digital in Shopify");
-  return { status: true };
+  const successCount = results.filter(r => r.status).length;
+  console.log(`✅ ${successCount}/${ids.length} variants set as ${action}`);
+  return { status: successCount === ids.length, results };
 }
 
 async function updateProductTagsInShopify(shopDomain, accessToken, productId, newTags = []) {
-  if (!newTags.length) return { status: false, message: "No tags to update" };
+  console.log(`🔄 Updating tags for product ${productId} on shop ${shopDomain} with new tags:`, newTags);
+  if (!newTags.length) {
+    console.warn('⚠️ No tags to update');
+    return { status: false, message: "No tags to update" };
+  }
 
-  const client = new GraphQLClient(`https://${shopDomain}/admin/api/2025-01/graphql.json`, {
-    headers: {
-      "X-Shopify-Access-Token": accessToken,
-      "Content-Type": "application/json",
-    },
-  });
+  const client = createShopifyClient(shopDomain, accessToken);
 
-  const getTagsQuery = gql`
-    query getProductTags($id: ID!) {
+  const checkProductQuery = gql`
+    query checkProduct($id: ID!) {
       product(id: $id) {
         id
+        title
         tags
       }
     }
   `;
 
-  const productData = await client.request(getTagsQuery, { id: productId });
-  const currentTags = productData?.product?.tags || [];
+  try {
+    const productCheck = await client.request(checkProductQuery, { id: productId }, { cost: 1 });
+    const product = productCheck?.product;
+    if (!product) {
+      console.error(`❌ Product not found: ${productId}`);
+      return { status: false, error: `Product not found: ${productId}` };
+    }
 
-  const updatedTags = Array.from(new Set([...currentTags, ...newTags]));
+    const currentTags = product.tags || [];
+    const updatedTags = Array.from(new Set([...currentTags, ...newTags]));
 
-  const updateTagsMutation = gql`
-    mutation updateProductTags($id: ID!, $tags: [String!]!) {
-      productUpdate(input: { id: $id, tags: $tags }) {
-        product { id tags }
-        userErrors { field message }
-      }
+    // If no change, skip update
+    if (updatedTags.length === currentTags.length && updatedTags.every(tag => currentTags.includes(tag))) {
+      console.log('ℹ️ No tag changes needed');
+      return { status: true, tags: updatedTags };
     }
-  `;
 
-  const result = await client.request(updateTagsMutation, { id: productId, tags: updatedTags });
+    const updateTagsMutation = gql`
+      mutation updateProductTags($id: ID!, $tags: [String!]!) {
+        productUpdate(input: { id: $id, tags: $tags }) {
+          product { id tags }
+          userErrors { field message }
+        }
+      }
+    `;
 
-  if (result.productUpdate.userErrors?.length) {
-    console.error("Tag update errors:", result.productUpdate.userErrors);
-    return { status: false, errors: result.productUpdate.userErrors };
-  }
+    const result = await client.request(updateTagsMutation, { id: productId, tags: updatedTags });
+    const failed = userErrorResult(result.productUpdate, 'Tag update');
+    if (failed) return failed;
 
-  console.log("✅ Product tags updated successfully:", updatedTags);
-  return { status: true, tags: updatedTags };
+    console.log("✅ Product tags updated successfully:", updatedTags);
+    return { status: true, tags: updatedTags };
+  } catch (error) {
+    console.error(`❌ Error updating tags for ${productId}:`, error.message);
+    return { status: false, error: error.message };
+  }
 }
 
-module.exports = { setVariantAsDigitalInShopify, updateProductTagsInShopify };
\ No newline at end of file
+module.exports = {
+  SHOPIFY_API_VERSION,
+  createShopifyClient,
+  userErrorResult,
+  updateVariantsShippingInShopify,
+  updateProductTagsInShopify,
+};
@@ -0,0 +1,161 @@
+// utils/shopifyAuth.js
+const crypto = require('crypto');
+const ShopifySession = require('../models/shopifysession.model');
+
+const SHOP_DOMAIN_REGEX = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i;
+const STATE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_SCOPES = 'read_products,write_products,write_inventory,read_orders';
+
+function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_REGEX.test(shop);
+}
+
+function hmacHex(message) {
+  return crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET || '').update(message).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Stateless OAuth state: "<nonce>.<issuedAt>.<hmac(shop|nonce|issuedAt)>" so no cookie/session store is needed
+function createOAuthState(shop) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = Date.now().toString();
+  return `${nonce}.${issuedAt}.${hmacHex(`${shop}|${nonce}|${issuedAt}`)}`;
+}
+
+function verifyOAuthState(shop, state) {
+  const [nonce, issuedAt, signature] = (state || '').split('.');
+  if (!nonce || !issuedAt || !signature) return false;
+  if (Date.now() - parseInt(issuedAt, 10) > STATE_TTL_MS) return false;
+  return safeEqual(signature, hmacHex(`${shop}|${nonce}|${issuedAt}`));
+}
+
+// Shopify signs OAuth redirects: hex HMAC of the sorted query string without the hmac param
+function verifyOAuthQueryHmac(query) {
+  const { hmac, signature, ...params } = query || {};
+  if (!hmac) return false;
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  return safeEqual(hmac, hmacHex(message));
+}
+
+function buildInstallUrl(shop, state) {
+  const params = new URLSearchParams({
+    client_id: process.env.SHOPIFY_API_KEY,
+    scope: process.env.SHOPIFY_SCOPES || DEFAULT_SCOPES,
+    redirect_uri: `${(process.env.APP_URL || '').replace(/\/$/, '')}/api/auth/callback`,
+    state,
+  });
+  return `https://${shop}/admin/oauth/authorize?${params.toString()}`;
+}
+
+async function exchangeCodeForToken(shop, code) {
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({
+      client_id: process.env.SHOPIFY_API_KEY,
+      client_secret: process.env.SHOPIFY_API_SECRET,
+      code,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`Access token request failed with status ${response.status}`);
+  }
+  const data = await response.json();
+  if (!data.access_token) throw new Error("Access token missing from Shopify response");
+  return { accessToken: data.access_token, scope: data.scope };
+}
+
+function decodeJwtPart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+// App Bridge session token (HS256 JWT signed with the app secret). Returns the verified shop domain or throws.
+function verifySessionToken(token) {
+  const [headerPart, payloadPart, signaturePart] = (token || '').split('.');
+  if (!headerPart || !payloadPart || !signaturePart) throw new Error("Malformed session token");
+
+  let header, payload;
+  try {
+    header = decodeJwtPart(headerPart);
+    payload = decodeJwtPart(payloadPart);
+  } catch (e) {
+    throw new Error("Malformed session token");
+  }
+  if (header.alg !== 'HS256') throw new Error("Unsupported session token algorithm");
+
+  const expected = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET || '')
+    .update(`${headerPart}.${payloadPart}`)
+    .digest('base64url');
+  if (!process.env.SHOPIFY_API_SECRET || !safeEqual(signaturePart, expected)) {
+    throw new Error("Invalid session token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const leeway = 5;  // seconds of clock skew
+  if (!payload.exp || payload.exp < now - leeway) throw new Error("Session token has expired");
+  if (payload.nbf && payload.nbf > now + leeway) throw new Error("Session token is not active yet");
+
+  const audience = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audience.includes(process.env.SHOPIFY_API_KEY)) throw new Error("Session token audience mismatch");
+
+  let shop;
+  try {
+    shop = new URL(payload.dest).hostname;
+  } catch (e) {
+    throw new Error("Session token has an invalid dest");
+  }
+  if (!isValidShopDomain(shop)) throw new Error("Session token has an invalid dest");
+  if (payload.iss && !payload.iss.startsWith(`https://${shop}/`)) throw new Error("Session token issuer does not match dest");
+
+  return shop;
+}
+
+// Express middleware: authenticates the admin request with its App Bridge session token
+// (Authorization: Bearer <token>) and loads the store's session.
+// Sets req.shop and req.shopSession; 401 if unauthenticated or the store has not installed the app.
+async function authenticateShop(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: "Missing session token" });
+  }
+
+  let shop;
+  try {
+    shop = verifySessionToken(token);
+  } catch (err) {
+    console.warn('⚠️ Session token rejected:', err.message);
+    return res.status(401).json({ error: err.message });
+  }
+
+  try {
+    const shopSession = await ShopifySession.findOne({ shop });
+    if (!shopSession) {
+      return res.status(401).json({ error: `App is not installed on ${shop}` });
+    }
+    req.shop = shop;
+    req.shopSession = shopSession;
+    next();
+  } catch (error) {
+    console.error("Resolve shop error:", error);
+    return res.status(500).json({ error: error.message || "Internal server error" });
+  }
+}
+
+module.exports = {
+  isValidShopDomain,
+  createOAuthState,
+  verifyOAuthState,
+  verifyOAuthQueryHmac,
+  buildInstallUrl,
+  exchangeCodeForToken,
+  verifySessionToken,
+  authenticateShop,
+};
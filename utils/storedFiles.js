@@ -0,0 +1,306 @@
+// utils/storedFiles.js
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const DigitalProduct = require('../models/digitalproduct.model');
+const StoredFile = require('../models/storedfile.model');
+const UploadSession = require('../models/uploadsession.model');
+const { s3, UPLOADS_PREFIX } = require('./s3');
+const { getAllVariantFiles, collectFileKeys } = require('./variantFiles');
+
+const TMP_DIR = path.join(__dirname, '..', 'tmp');
+const DEFAULT_GRACE_HOURS = 24;
+
+function getGraceMs() {
+  const hours = parseFloat(process.env.STORAGE_SWEEP_GRACE_HOURS);
+  return (Number.isNaN(hours) ? DEFAULT_GRACE_HOURS : hours) * 60 * 60 * 1000;
+}
+
+function referencedByProductsQuery(keys) {
+  return {
+    $or: [
+      { "variants.files.key": { $in: keys } },
+      { "variants.versions.files.key": { $in: keys } },
+      { "variants.fileKey": { $in: keys } },
+    ],
+  };
+}
+
+// DigitalProduct is the source of truth; StoredFile references are bookkeeping on top of it
+async function isFileReferenced(key) {
+  return !!(await DigitalProduct.exists(referencedByProductsQuery([key])));
+}
+
+// Call right after an object lands in Spaces, before any product points at it.
+// Matches on key and shop, so a row of another store is never taken over (the unique key makes that upsert fail).
+async function recordStoredFile({ key, shop, productId, source, size, contentType, sha256, scan }) {
+  const update = { productId, source };
+  if (size) update.size = size;
+  if (contentType) update.contentType = contentType;
+  if (sha256) update.sha256 = sha256;
+  if (scan) update.scan = scan;
+  await StoredFile.updateOne({ key, shop }, { $set: update }, { upsert: true });
+}
+
+// An object of the same store with identical content, still present in Spaces, or null.
+// Marks it reused so a deletion queued before this point leaves it alone (see isFileReusedSince).
+async function findReusableFile(shop, sha256) {
+  if (!shop || !sha256) return null;
+  const record = await StoredFile.findOne({ shop, sha256, status: 'active' }).sort({ createdAt: -1 });
+  if (!record) return null;
+
+  try {
+    await s3.headObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: record.key }).promise();
+  } catch (err) {
+    if (err.code === 'NotFound' || err.statusCode === 404) {
+      await forgetStoredFiles([record.key]);
+      return null;
+    }
+    throw err;
+  }
+
+  record.reusedAt = new Date();
+  await record.save();
+  return record;
+}
+
+async function isFileReusedSince(key, since) {
+  return !!(await StoredFile.exists({ key, reusedAt: { $gt: since } }));
+}
+
+// sha256 of an object already in Spaces, computed while streaming it (multipart and direct uploads never pass through tmp/)
+async function hashStoredObject(key) {
+  const hash = crypto.createHash('sha256');
+  const stream = s3.getObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: key }).createReadStream();
+  for await (const chunk of stream) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+// Store a computed hash on the record and on every variant file entry that points at the object
+async function saveFileHash(key, sha256) {
+  await StoredFile.updateOne({ key }, { sha256 });
+  await DigitalProduct.updateMany(
+    { "variants.files.key": key },
+    { $set: { "variants.$[].files.$[file].sha256": sha256 } },
+    { arrayFilters: [{ "file.key": key }] }
+  );
+  await DigitalProduct.updateMany(
+    { "variants.versions.files.key": key },
+    { $set: { "variants.$[].versions.$[].files.$[file].sha256": sha256 } },
+    { arrayFilters: [{ "file.key": key }] }
+  );
+}
+
+async function markUnreferenced() {
+  await StoredFile.updateMany({ references: { $size: 0 }, unreferencedAt: null }, { unreferencedAt: new Date() });
+}
+
+// Rewrite the references one product holds so they match its saved variants.
+// Never throws: the sweeper re-checks products before deleting, so a missed update only delays a sweep.
+async function syncProductFileReferences(product) {
+  if (!product) return;
+  const { shop, productId } = product;
+  try {
+    const filesByKey = new Map();
+    (product.variants || []).forEach(v => getAllVariantFiles(v).forEach(file => {
+      const entry = filesByKey.get(file.key) || { file, variantIds: [] };
+      entry.variantIds.push(v.id);
+      filesByKey.set(file.key, entry);
+    }));
+
+    await StoredFile.updateMany({ "references.productId": productId }, { $pull: { references: { productId } } });
+    for (const [key, { file, variantIds }] of filesByKey) {
+      await StoredFile.updateOne(
+        { key },
+        {
+          $push: { references: { $each: variantIds.map(variantId => ({ productId, variantId })) } },
+          $set: { unreferencedAt: null },
+          // Objects uploaded before StoredFile existed are recorded the first time a product saves them
+          $setOnInsert: { shop, productId, source: 'legacy', size: file.size || 0, contentType: file.contentType, sha256: file.sha256 || null },
+        },
+        { upsert: true }
+      );
+    }
+    await markUnreferenced();
+  } catch (err) {
+    console.error(`❌ Failed to sync file references for ${productId}:`, err.message || err);
+  }
+}
+
+async function releaseProductFileReferences(productId) {
+  try {
+    await StoredFile.updateMany({ "references.productId": productId }, { $pull: { references: { productId } } });
+    await markUnreferenced();
+  } catch (err) {
+    console.error(`❌ Failed to release file references for ${productId}:`, err.message || err);
+  }
+}
+
+// Hashes among the given ones that the store already has an active object for
+async function getStoredHashes(shop, hashes) {
+  const records = await StoredFile.find({ shop, sha256: { $in: hashes.filter(h => h) }, status: 'active' }).select('sha256').lean();
+  return new Set(records.map(r => r.sha256));
+}
+
+// Drop the records of objects that were deleted from Spaces
+async function forgetStoredFiles(keys) {
+  if (!keys || keys.length === 0) return;
+  await StoredFile.deleteMany({ key: { $in: keys } });
+}
+
+async function deleteObjects(keys) {
+  const failed = [];
+  for (let start = 0; start < keys.length; start += 1000) {
+    const batch = keys.slice(start, start + 1000);
+    const result = await s3.deleteObjects({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true },
+    }).promise();
+    (result.Errors || []).forEach(e => failed.push({ key: e.Key, error: e.Message || e.Code }));
+  }
+  return failed;
+}
+
+// Objects under UPLOADS_PREFIX that no product uses, one listing page at a time
+async function findOrphanedObjects(cutoff) {
+  const orphans = [];
+  let scanned = 0;
+  let ContinuationToken;
+
+  do {
+    const page = await s3.listObjectsV2({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Prefix: UPLOADS_PREFIX,
+      ContinuationToken,
+    }).promise();
+    const objects = (page.Contents || []).filter(o => !o.Key.endsWith('/'));
+    scanned += objects.length;
+
+    const keys = objects.map(o => o.Key);
+    if (keys.length > 0) {
+      const [products, records] = await Promise.all([
+        DigitalProduct.find(referencedByProductsQuery(keys)).select('variants.files variants.versions variants.fileKey').lean(),
+        StoredFile.find({ key: { $in: keys } }).lean(),
+      ]);
+      const usedKeys = collectFileKeys(products.flatMap(p => p.variants));
+      const recordsByKey = new Map(records.map(r => [r.key, r]));
+
+      for (const object of objects) {
+        const record = recordsByKey.get(object.Key);
+        if (usedKeys.has(object.Key) || record?.references?.length > 0) continue;
+        // Grace runs from the upload, or from when the object was last dropped or reused if that is later
+        const idleSince = Math.max(
+          object.LastModified.getTime(),
+          record?.unreferencedAt?.getTime() || 0,
+          record?.reusedAt?.getTime() || 0
+        );
+        if (idleSince > cutoff) continue;
+        orphans.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+          shop: record?.shop || null,
+          tracked: !!record,
+        });
+      }
+    }
+
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return { scanned, orphans };
+}
+
+// Form uploads formidable left behind in tmp/ (crashed or aborted requests)
+function findStaleTempFiles(cutoff) {
+  if (!fs.existsSync(TMP_DIR)) return [];
+  return fs.readdirSync(TMP_DIR)
+    .map(name => ({ name, stat: fs.statSync(path.join(TMP_DIR, name)) }))
+    .filter(({ stat }) => stat.isFile() && stat.mtimeMs <= cutoff)
+    .map(({ name, stat }) => ({ name, size: stat.size, modifiedAt: stat.mtime }));
+}
+
+// Multipart uploads nobody completed or aborted; listObjectsV2 does not show their parts, but they still take storage
+async function findAbandonedUploads(cutoff) {
+  const sessions = await UploadSession.find({ status: 'pending', updatedAt: { $lte: new Date(cutoff) } }).lean();
+  return sessions.map(s => ({ uploadId: s.uploadId, key: s.key, shop: s.shop, startedAt: s.createdAt, lastActivityAt: s.updatedAt }));
+}
+
+async function abortAbandonedUpload(upload) {
+  try {
+    await s3.abortMultipartUpload({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: upload.key, UploadId: upload.uploadId }).promise();
+  } catch (err) {
+    if (err.code !== 'NoSuchUpload') throw err;  // already gone on the Spaces side
+  }
+  await UploadSession.updateOne({ uploadId: upload.uploadId, status: 'pending' }, { status: 'aborted' });
+}
+
+// Finds (and unless dryRun, deletes) unreferenced objects, abandoned multipart uploads and stale temp files
+// older than the grace period
+async function sweepOrphanedFiles({ dryRun = false } = {}) {
+  const graceMs = getGraceMs();
+  const cutoff = Date.now() - graceMs;
+  const { scanned, orphans } = await findOrphanedObjects(cutoff);
+  const abandonedUploads = await findAbandonedUploads(cutoff);
+  const tmpFiles = findStaleTempFiles(cutoff);
+
+  const report = {
+    dryRun,
+    graceHours: graceMs / (60 * 60 * 1000),
+    scanned,
+    orphans,
+    abandonedUploads,
+    tmpFiles,
+    deleted: { objects: 0, uploads: 0, tmpFiles: 0 },
+    failed: [],
+  };
+  if (dryRun) return report;
+
+  // Last check per key: a product may have picked the object up while the bucket was being listed
+  const toDelete = [];
+  for (const orphan of orphans) {
+    if (!(await isFileReferenced(orphan.key))) toDelete.push(orphan.key);
+  }
+  if (toDelete.length > 0) {
+    report.failed = await deleteObjects(toDelete);
+    const failedKeys = new Set(report.failed.map(f => f.key));
+    const deletedKeys = toDelete.filter(key => !failedKeys.has(key));
+    await forgetStoredFiles(deletedKeys);
+    report.deleted.objects = deletedKeys.length;
+  }
+
+  for (const upload of abandonedUploads) {
+    try {
+      await abortAbandonedUpload(upload);
+      report.deleted.uploads++;
+    } catch (err) {
+      report.failed.push({ uploadId: upload.uploadId, key: upload.key, error: err.message || String(err) });
+    }
+  }
+
+  for (const file of tmpFiles) {
+    try {
+      fs.unlinkSync(path.join(TMP_DIR, file.name));
+      report.deleted.tmpFiles++;
+    } catch (err) {
+      report.failed.push({ tmpFile: file.name, error: err.message });
+    }
+  }
+
+  console.log(`🧹 Storage sweep: ${scanned} objects scanned, ${report.deleted.objects} orphans, ${report.deleted.uploads} abandoned uploads and ${report.deleted.tmpFiles} temp files removed`);
+  return report;
+}
+
+module.exports = {
+  isFileReferenced,
+  recordStoredFile,
+  findReusableFile,
+  getStoredHashes,
+  isFileReusedSince,
+  hashStoredObject,
+  saveFileHash,
+  syncProductFileReferences,
+  releaseProductFileReferences,
+  forgetStoredFiles,
+  sweepOrphanedFiles,
+};
@@ -0,0 +1,202 @@
+// utils/uploadPolicy.js
+const fs = require('fs');
+const ShopSettings = require('../models/shopsettings.model');
+const StoredFile = require('../models/storedfile.model');
+const { s3, UPLOADS_PREFIX } = require('./s3');
+const { getExtension, sniffMimeType, readFileHead, readObjectHead } = require('./fileType');
+const { scanFile, scanObject, isScanAccepted } = require('./scanner');
+const { forgetStoredFiles } = require('./storedFiles');
+
+const MAX_FILE_SIZE_LIMIT = 5 * 1024 * 1024 * 1024;  // 5GB, largest single object the upload routes handle
+const QUARANTINE_PREFIX = 'quarantine/';
+
+function uploadRejection(statusCode, code, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+function envList(name) {
+  return (process.env[name] || '').split(',').map(v => v.trim()).filter(v => v);
+}
+
+function envBytes(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+// Shop settings layered over the env defaults (UPLOAD_ALLOWED_EXTENSIONS, UPLOAD_ALLOWED_MIME_TYPES,
+// UPLOAD_MAX_FILE_SIZE, SHOP_STORAGE_QUOTA). Empty allow-lists accept anything.
+async function getUploadPolicy(shop) {
+  const settings = await ShopSettings.findOne({ shop }).lean();
+  const uploads = settings?.uploads || {};
+  const allowedExtensions = uploads.allowedExtensions?.length ? uploads.allowedExtensions : envList('UPLOAD_ALLOWED_EXTENSIONS');
+  const allowedMimeTypes = uploads.allowedMimeTypes?.length ? uploads.allowedMimeTypes : envList('UPLOAD_ALLOWED_MIME_TYPES');
+
+  return {
+    allowedExtensions: allowedExtensions.map(ext => ext.replace(/^\./, '').toLowerCase()),
+    allowedMimeTypes: allowedMimeTypes.map(type => type.toLowerCase()),
+    maxFileSize: Math.min(uploads.maxFileSize || envBytes('UPLOAD_MAX_FILE_SIZE') || MAX_FILE_SIZE_LIMIT, MAX_FILE_SIZE_LIMIT),
+    storageQuota: uploads.storageQuota ?? envBytes('SHOP_STORAGE_QUOTA') ?? 0,
+  };
+}
+
+// Bytes held by the store's active objects (quarantined files do not count against the quota)
+async function getStorageUsage(shop, { excludeKeys = [] } = {}) {
+  const [usage] = await StoredFile.aggregate([
+    { $match: { shop, status: { $ne: 'quarantined' }, key: { $nin: excludeKeys } } },
+    { $group: { _id: null, bytes: { $sum: '$size' } } },
+  ]);
+  return usage?.bytes || 0;
+}
+
+function checkFileSize(policy, fileName, size) {
+  if (size > policy.maxFileSize) {
+    throw uploadRejection(413, 'file_too_large', `${fileName} is ${size} bytes; the limit is ${policy.maxFileSize} bytes per file`);
+  }
+}
+
+async function checkStorageQuota(policy, shop, additionalBytes, { excludeKeys } = {}) {
+  if (!policy.storageQuota || !additionalBytes) return;
+  const usage = await getStorageUsage(shop, { excludeKeys });
+  if (usage + additionalBytes > policy.storageQuota) {
+    throw uploadRejection(413, 'quota_exceeded', `Storage quota exceeded: ${usage} of ${policy.storageQuota} bytes used, upload needs ${additionalBytes} more`);
+  }
+}
+
+function mimeTypeAllowed(allowed, mimeType) {
+  return allowed.some(pattern => pattern.endsWith('/*')
+    ? mimeType.startsWith(pattern.slice(0, -1))
+    : pattern === mimeType);
+}
+
+// mimeType is the sniffed type; omit it to check the extension only (before any bytes have arrived)
+function checkFileType(policy, fileName, mimeType) {
+  const extension = getExtension(fileName);
+  if (policy.allowedExtensions.length && !policy.allowedExtensions.includes(extension)) {
+    throw uploadRejection(415, 'extension_not_allowed', `Files of type .${extension || '(none)'} are not allowed for this store`);
+  }
+  if (mimeType && policy.allowedMimeTypes.length && !mimeTypeAllowed(policy.allowedMimeTypes, mimeType)) {
+    throw uploadRejection(415, 'type_not_allowed', `${fileName} looks like ${mimeType}, which is not allowed for this store`);
+  }
+}
+
+async function runScan(scanFn, target, fileName) {
+  try {
+    return await scanFn(target);
+  } catch (err) {
+    // Fail closed: nothing is attached unless it was scanned
+    console.error(`❌ Virus scan failed for ${fileName}:`, err.message || err);
+    throw uploadRejection(503, 'scanner_unavailable', `Virus scan unavailable, ${fileName} was not accepted - try again later`);
+  }
+}
+
+function infectedRejection(fileName, scan) {
+  return uploadRejection(422, 'infected', `${fileName} failed the virus scan (${scan.signature}) and was quarantined`);
+}
+
+function toQuarantineKey(key) {
+  return key.startsWith(UPLOADS_PREFIX) ? `${QUARANTINE_PREFIX}${key.slice(UPLOADS_PREFIX.length)}` : `${QUARANTINE_PREFIX}${key}`;
+}
+
+function scanSummary(scan) {
+  const status = scan.infected ? 'infected' : scan.verified ? 'clean' : 'unverified';
+  return { status, signature: scan.signature || null, scanner: scan.scanner, scannedAt: scan.scannedAt };
+}
+
+// Checks a formidable temp file before it is uploaded. Infected files are stored under QUARANTINE_PREFIX only.
+// Resolves { contentType, scan } for the clean upload, or throws an uploadRejection.
+async function screenLocalFile(policy, { shop, productId, file, fileName, key }) {
+  checkFileSize(policy, fileName, file.size || 0);
+  const contentType = sniffMimeType(readFileHead(file.filepath), fileName);
+  checkFileType(policy, fileName, contentType);
+
+  const scan = await runScan(scanFile, file.filepath, fileName);
+  if (scan.infected) {
+    const quarantineKey = toQuarantineKey(key);
+    await s3.upload({
+      Bucket: process.env.DO_SPACES_BUCKET_NAME,
+      Key: quarantineKey,
+      Body: fs.createReadStream(file.filepath),
+      ContentType: 'application/octet-stream',
+      ACL: 'private',
+    }).promise();
+    await StoredFile.updateOne(
+      { key: quarantineKey },
+      { $set: { shop, productId, source: 'upload', size: file.size || 0, contentType, sha256: file.hash || null, status: 'quarantined', scan: scanSummary(scan) } },
+      { upsert: true }
+    );
+    console.warn(`☣️ Quarantined ${fileName} (${scan.signature}) as ${quarantineKey}`);
+    throw infectedRejection(fileName, scan);
+  }
+  return { contentType, scan: scanSummary(scan) };
+}
+
+// Same checks for an object that is already in Spaces (multipart / pre-signed uploads).
+// Rejected objects are deleted, infected ones moved to QUARANTINE_PREFIX.
+async function screenStoredObject(policy, { shop, key, fileName, size }) {
+  try {
+    checkFileSize(policy, fileName, size);
+    await checkStorageQuota(policy, shop, size, { excludeKeys: [key] });
+    const contentType = sniffMimeType(await readObjectHead(key), fileName);
+    checkFileType(policy, fileName, contentType);
+
+    const scan = await runScan(scanObject, key, fileName);
+    if (scan.infected) {
+      const quarantineKey = toQuarantineKey(key);
+      await s3.copyObject({
+        Bucket: process.env.DO_SPACES_BUCKET_NAME,
+        CopySource: encodeURI(`${process.env.DO_SPACES_BUCKET_NAME}/${key}`),
+        Key: quarantineKey,
+        ACL: 'private',
+      }).promise();
+      await s3.deleteObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: key }).promise();
+      // Upsert the quarantine record (an earlier copy may already hold that key) and drop the original one
+      const record = await StoredFile.findOne({ key }).lean();
+      await StoredFile.updateOne(
+        { key: quarantineKey },
+        { $set: {
+          shop, productId: record?.productId, source: record?.source || 'direct', size, contentType,
+          sha256: record?.sha256 || null, status: 'quarantined', scan: scanSummary(scan),
+        } },
+        { upsert: true }
+      );
+      await forgetStoredFiles([key]);
+      console.warn(`☣️ Quarantined ${fileName} (${scan.signature}) as ${quarantineKey}`);
+      throw infectedRejection(fileName, scan);
+    }
+    await StoredFile.updateOne({ key }, { $set: { contentType, scan: scanSummary(scan) } });
+    return { contentType, scan: scanSummary(scan) };
+  } catch (err) {
+    if (err.statusCode && err.code !== 'infected' && err.code !== 'scanner_unavailable') {
+      await s3.deleteObject({ Bucket: process.env.DO_SPACES_BUCKET_NAME, Key: key }).promise()
+        .catch(e => console.warn(`Failed to delete rejected upload ${key}:`, e.message));
+      await forgetStoredFiles([key]);
+    }
+    throw err;
+  }
+}
+
+// File keys sent in productData are only attachable when they are this store's active objects and passed the
+// virus scan (pre-signed uploads count once /api/uploads/confirm has screened them). Resolves the keys that are not.
+async function findUnattachableKeys(shop, keys) {
+  if (keys.length === 0) return [];
+  const records = await StoredFile.find({ key: { $in: keys }, shop, status: 'active' }).select('key scan').lean();
+  const accepted = new Set(records.filter(r => isScanAccepted(r.scan)).map(r => r.key));
+  return keys.filter(key => !accepted.has(key));
+}
+
+module.exports = {
+  MAX_FILE_SIZE_LIMIT,
+  QUARANTINE_PREFIX,
+  uploadRejection,
+  getUploadPolicy,
+  getStorageUsage,
+  checkFileSize,
+  checkStorageQuota,
+  checkFileType,
+  screenLocalFile,
+  screenStoredObject,
+  findUnattachableKeys,
+};
@@ -0,0 +1,63 @@
+// utils/variantFiles.js
+
+// Normalize an upload result / payload entry / stored entry into a variant file entry
+function toFileEntry(file) {
+  if (!file || !file.key) return null;
+  return {
+    key: file.key,
+    url: file.url || "",
+    name: file.name || "",
+    size: file.size || 0,
+    contentType: file.contentType || undefined,
+    sha256: file.sha256 || undefined,
+  };
+}
+
+// Ordered file list of a variant. Documents saved before bundles only have the single fileKey fields.
+function getVariantFiles(variant) {
+  if (!variant) return [];
+  if (variant.files && variant.files.length > 0) return variant.files.map(toFileEntry).filter(f => f);
+  if (variant.fileKey) {
+    return [toFileEntry({ key: variant.fileKey, url: variant.fileUrl, name: variant.fileName, size: variant.fileSize })];
+  }
+  return [];
+}
+
+// Files list plus the legacy single-file fields, which mirror the first entry for older clients
+function variantFileFields(files) {
+  const list = (files || []).map(toFileEntry).filter(f => f);
+  const first = list[0];
+  return {
+    files: list,
+    fileKey: first?.key || "",
+    fileUrl: first?.url || "",
+    fileName: first?.name || "",
+    fileSize: first?.size || 0,
+  };
+}
+
+// Current files plus the files of every kept version (utils/fileVersions.js), one entry per key
+function getAllVariantFiles(variant) {
+  const byKey = new Map();
+  [getVariantFiles(variant), ...(variant?.versions || []).map(v => v.files || [])]
+    .flat()
+    .map(toFileEntry)
+    .forEach(f => { if (f && !byKey.has(f.key)) byKey.set(f.key, f); });
+  return [...byKey.values()];
+}
+
+// Every object key referenced by a list of variants, old versions included
+function collectFileKeys(variants) {
+  const keys = new Set();
+  (variants || []).forEach(v => getAllVariantFiles(v).forEach(f => keys.add(f.key)));
+  return keys;
+}
+
+// Keys the old variants referenced that the new variants no longer do.
+// Compared across the whole product, so a file shared by several variants survives while any of them uses it.
+function getUnusedFileKeys(oldVariants, newVariants) {
+  const newFileKeys = collectFileKeys(newVariants);
+  return [...collectFileKeys(oldVariants)].filter(key => !newFileKeys.has(key));
+}
+
+module.exports = { toFileEntry, getVariantFiles, getAllVariantFiles, variantFileFields, collectFileKeys, getUnusedFileKeys };